@@ -1,94 +1,615 @@
 #!/usr/bin/env node
 "use strict";
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const argv = require('minimist')(process.argv.slice(2), { boolean : ["w", "suppresswarnings" ]});
+// The file to compare with is only given as --check=<file>, so that a bare --check never takes the next argument.
+const args = process.argv.slice(2).map(arg => ((arg === '--check' || arg === '--checkEmbed') ? `${arg}=` : arg));
+const argv = require('minimist')(args, { boolean : ["w", "suppresswarnings", "watch", "strict", "groupInherited" ], string : ["check", "checkEmbed"]});
 const defined = require('../lib/defined');
 const defaultValue = require('../lib/defaultValue');
 const enums = require('../lib/enums');
+const buildDocumentModel = require('../lib/buildDocumentModel');
+const lintDocumentModel = require('../lib/lintDocumentModel');
 const generateMarkdown = require('../lib/generateMarkdown');
+const renderDocumentModel = generateMarkdown.renderDocumentModel;
+const readConfig = require('../lib/readConfig');
+const readSchemaFile = require('../lib/readSchemaFile');
+const unifiedDiff = require('../lib/unifiedDiff');
 
-if (!defined(argv._[0]) || defined(argv.h) || defined(argv.help)) {
-    const help = `Usage: node ${  path.basename(__filename)  } [path-to-json-schema-file] [OPTIONS]\n` +
+// The schema files in input directories, and in watch mode, the files whose creation or modification may fix a failed run.
+const SCHEMA_FILE_PATTERN = /\.(json|ya?ml)$/;
+
+// In check mode, the outputs are compared with the files on disk instead of being written.
+const checkMode = defined(argv.check) || defined(argv.checkEmbed);
+
+// In lint mode, the schemas are checked for documentation problems instead of generating documents.
+const lintMode = (argv._[0] === 'lint');
+if (lintMode) {
+    argv._.shift();
+}
+const lintProblems = [];
+
+// Without a schema, the jobs are read from a configuration file, which is looked for in the working directory by default.
+let configPath = defaultValue(argv.config, null);
+if (!defined(configPath) && !defined(argv._[0])) {
+    configPath = defaultValue(readConfig.findConfigFile(process.cwd()), null);
+}
+
+if ((!defined(argv._[0]) && !defined(configPath)) || defined(argv.h) || defined(argv.help)) {
+    const help = `Usage: node ${  path.basename(__filename)  } [path-to-json-or-yaml-schema-file] [OPTIONS]\n` +
+        `       node ${  path.basename(__filename)  } [schema-files, directories or globs like dir/*.schema.json] [OPTIONS]\n` +
+        `                                Several root schemas are documented together in one document, whose\n` +
+        `                                table of contents has one entry per root.\n` +
+        `       node ${  path.basename(__filename)  } [--config path-to-config-file]\n` +
+        `       node ${  path.basename(__filename)  } lint [schema-files or --config path-to-config-file] [--format json]\n` +
+        `                                Report properties without descriptions, types without titles, duplicate\n` +
+        `                                titles, enum values without display names, invalid defaults and schema\n` +
+        `                                files that are not reached, and exit with an error if there are any.\n` +
+        `                                With --format json, the problems are printed as a JSON array.\n` +
+        `       --config             Run the jobs declared in a configuration file. Without a schema, the file\n` +
+        `                                wetzel.config.js or wetzel.config.json in the working directory is used.\n` +
         `  -l,  --headerLevel        Top-level header. Default: 1\n` +
         `  -c,  --checkmark          Symbol for required properties. Default: &#10003;\n` +
         `  -k,  --keyword            Use a particular keyword in place of "must", for example "**MUST**".\n` +
         `  -p,  --schemaPath         The path string that should be used when generating the schema reference paths.\n` +
         `  -s,  --searchPath         The path string that should be used when loading the schema reference paths.\n` +
-        `  -e,  --embedOutput        The output path for a document that embeds JSON schemas directly (AsciiDoctor only).\n` +
-        `  -m,  --outputMode         The output mode, Markdown (the default) or AsciiDoctor (a).\n` +
+        `       --catalog            A JSON file mapping URI prefixes to local directories, used to load schemas\n` +
+        `                                that are referenced by absolute URIs, e.g. {"https://example.com/": "schemas/"}\n` +
+        `       --dialect            The JSON Schema dialect of a schema without a recognized $schema: draft-03,\n` +
+        `                                draft-04, draft-06, draft-07, 2019-09 or 2020-12. Default: guessed from keywords\n` +
+        `  -e,  --embedOutput        The output path for a document that embeds JSON schemas directly\n` +
+        `                                (AsciiDoctor and reStructuredText only).\n` +
+        `       --output             Write the document to this file instead of stdout.\n` +
+        `  -o,  --outDir             Write one file per type into this directory, plus an index file holding\n` +
+        `                                the table of contents, instead of writing a single document to stdout.\n` +
+        `  -m,  --outputMode         The output mode, Markdown (the default), AsciiDoctor (a), HTML (html)\n` +
+        `                                or reStructuredText (rst).\n` +
+        `       --stylesheet         Embed a stylesheet into HTML output. Provide a path to a CSS file,\n` +
+        `                                or "default" to embed the built-in stylesheet.\n` +
         `  -n,  --noTOC              Skip writing the Table of Contents.\n` +
         `  -a,  --autoLink           Aggressively auto-inter-link types referenced in descriptions.\n` +
         `                                Add =cqo to auto-link types that are in code-quotes only.\n` +
+        `       --groupInherited     Summarize the properties that a type inherits from its base types in a\n` +
+        `                                separate, collapsible table.\n` +
         `  -i                        An array of schema filenames (no paths) that should not get their own\n` +
         `                                table of contents entry, nor type listing (they are just used for\n` +
         `                                sharing properties across multiple other schemas)\n` +
+        `       --plugin             The path of a plugin module that documents vendor keywords (like x-units).\n` +
+        `                                May be given multiple times.\n` +
         `  -d,  --debug              Provide a path, and this will save out intermediate processing\n` +
         `                                artifacts useful in debugging wetzel.\n` +
         `  -w,  --suppressWarnings   Will not print out WETZEL_WARNING strings indicating identified\n` +
-        `                                conversion problems. Default: false\n`;
+        `                                conversion problems. Default: false\n` +
+        `       --strict             Print every warning with its schema file and JSON pointer to stderr,\n` +
+        `                                and exit with an error if there were any.\n` +
+        `       --check[=file]       Don't write any files, but compare the generated document with the file.\n` +
+        `                                Prints a diff and exits with an error when they differ. Without =file,\n` +
+        `                                the outputs of --output, -e, -o or the jobs of a config file are checked,\n` +
+        `                                and it fails if there are none.\n` +
+        `       --checkEmbed[=file]  Compare the generated embed output (see -e) with the file.\n` +
+        `       --watch              Keep running, and regenerate the output whenever the schema or any schema\n` +
+        `                                that it references changes. Requires --output, --outDir or a config file.\n`;
     process.stdout.write(help);
     return;
 }
 
-const filepath = argv._[0];
-const schema = JSON.parse(fs.readFileSync(filepath));
-
-let autoLink = enums.autoLinkOption.off;
-switch (defaultValue(argv.a, argv.autoLink)) {
-    case true:
-        autoLink = enums.autoLinkOption.aggressive;
-        break;
-    case "=cqo":
-    case "cqo":
-        autoLink = enums.autoLinkOption.codeQuoteOnly;
-        break;
-}
-
-let styleModeArgument = defaultValue(argv.m, argv.outputMode);
-if (styleModeArgument === 'a' || styleModeArgument === '=a') {
-    styleModeArgument = enums.styleModeOption.AsciiDoctor;
-}
-
-// We're expecting users to pass in an array as a "string", but we aren't expecting them
-// to pass it in as a correctly JSON-escaped string.  Therefore, we need to replace single
-// or double-quotes with a backslash-double-quote, and then we can parse the object.
-let ignorableTypesString = defaultValue(argv.i, '[]');
-ignorableTypesString = ignorableTypesString.replace(/'/g, '\"');
-ignorableTypesString = ignorableTypesString.replace(/"/g, '\"');
-const ignorableTypes = JSON.parse(ignorableTypesString);
-
-const searchPath = ['', path.dirname(filepath)];
-if (defined(argv.s) || defined(argv.searchPath)) {
-    searchPath.push(defaultValue(argv.s, argv.searchPath));
-}
-
-const embedOutput = defaultValue(defaultValue(argv.e, argv.embedOutput), null);
-
-const options = {
-    schema: schema,
-    filePath: filepath,
-    fileName: path.basename(filepath),
-    searchPath: searchPath,
-    styleMode: styleModeArgument,
-    writeTOC: !defaultValue(defaultValue(argv.n, argv.noTOC), false),
-    headerLevel: defaultValue(defaultValue(argv.l, argv.headerLevel), 1),
-    checkmark: defaultValue(defaultValue(argv.c, argv.checkmark), null),
-    mustKeyword: defaultValue(defaultValue(argv.k, argv.keyword), null),
-    schemaRelativeBasePath: defaultValue(defaultValue(argv.p, argv.schemaPath), null),
-    embedMode: enums.embedMode.none,
-    debug: defaultValue(defaultValue(argv.d, argv.debug), null),
-    suppressWarnings: defaultValue(defaultValue(argv.w, argv.suppressWarnings), false),
-    autoLink: autoLink,
-    ignorableTypes: ignorableTypes
-};
-
-if (defined(embedOutput)) {
-    options.embedMode = enums.embedMode.writeIncludeStatements;
-    options.ignorableTypes = [];
-    fs.writeFileSync(embedOutput, generateMarkdown(options));
-    options.embedMode = enums.embedMode.referenceIncludeDocument;
-    options.ignorableTypes = ignorableTypes;
-}
-
-process.stdout.write(generateMarkdown(options));
+let jobs;
+if (defined(argv._[0])) {
+    jobs = [getCommandLineJob()];
+} else {
+    jobs = readConfig(configPath);
+}
+
+for (const job of jobs) {
+    job.strict = job.strict || argv.strict;
+    if (lintMode) {
+        lintJob(job);
+    } else if (argv.watch) {
+        watchJob(job);
+    } else {
+        runJob(job);
+    }
+}
+
+if (lintMode) {
+    reportLintProblems(lintProblems, argv.format);
+}
+
+/**
+* @function getCommandLineJob
+* Gets the job that is described by the command-line options.
+* @return {object} The job, with the same properties as a job in a configuration file.
+*/
+function getCommandLineJob() {
+    // We're expecting users to pass in an array as a "string", but we aren't expecting them
+    // to pass it in as a correctly JSON-escaped string.  Therefore, we need to replace single
+    // or double-quotes with a backslash-double-quote, and then we can parse the object.
+    let ignorableTypesString = defaultValue(argv.i, '[]');
+    ignorableTypesString = ignorableTypesString.replace(/'/g, '\"');
+    ignorableTypesString = ignorableTypesString.replace(/"/g, '\"');
+
+    return {
+        schema: (argv._.length > 1) ? argv._ : argv._[0],
+        output: (defaultValue(argv.check, '') !== '') ? argv.check : defaultValue(argv.output, null),
+        outputMode: defaultValue(argv.m, argv.outputMode),
+        embedOutput: defaultValue(defaultValue(argv.e, argv.embedOutput), (defaultValue(argv.checkEmbed, '') !== '') ? argv.checkEmbed : undefined),
+        outDir: defaultValue(argv.o, argv.outDir),
+        ignorableTypes: JSON.parse(ignorableTypesString),
+        headerLevel: defaultValue(argv.l, argv.headerLevel),
+        checkmark: defaultValue(argv.c, argv.checkmark),
+        keyword: defaultValue(argv.k, argv.keyword),
+        schemaPath: defaultValue(argv.p, argv.schemaPath),
+        searchPath: defaultValue(argv.s, argv.searchPath),
+        catalog: argv.catalog,
+        dialect: argv.dialect,
+        stylesheet: argv.stylesheet,
+        noTOC: defaultValue(argv.n, argv.noTOC),
+        autoLink: defaultValue(argv.a, argv.autoLink),
+        groupInherited: argv.groupInherited,
+        plugins: [].concat(defaultValue(argv.plugin, [])),
+        debug: defaultValue(argv.d, argv.debug),
+        suppressWarnings: defaultValue(argv.w, argv.suppressWarnings),
+        strict: argv.strict
+    };
+}
+
+/**
+* @function getJobOptions
+* Reads the schemas of a job, and creates the options for buildDocumentModel and renderDocumentModel.
+* @param  {object} job The job from the command line or a configuration file.
+* @return {object} The options.
+*/
+function getJobOptions(job) {
+    const filepaths = getSchemaFiles(job.schema).files;
+
+    let autoLink = enums.autoLinkOption.off;
+    switch (job.autoLink) {
+        case true:
+        case "aggressive":
+            autoLink = enums.autoLinkOption.aggressive;
+            break;
+        case "=cqo":
+        case "cqo":
+            autoLink = enums.autoLinkOption.codeQuoteOnly;
+            break;
+    }
+
+    let styleModeArgument = job.outputMode;
+    if (styleModeArgument === 'a' || styleModeArgument === '=a') {
+        styleModeArgument = enums.styleModeOption.AsciiDoctor;
+    } else if (styleModeArgument === 'html' || styleModeArgument === '=html') {
+        styleModeArgument = enums.styleModeOption.Html;
+    } else if (styleModeArgument === 'rst' || styleModeArgument === '=rst') {
+        styleModeArgument = enums.styleModeOption.ReStructuredText;
+    }
+
+    let stylesheet = defaultValue(job.stylesheet, null);
+    if (stylesheet === 'default') {
+        stylesheet = true;
+    } else if (defined(stylesheet)) {
+        stylesheet = fs.readFileSync(stylesheet).toString();
+    }
+
+    const ignorableTypes = defaultValue(job.ignorableTypes, []);
+
+    // References are looked up relative to the root schema that contains them.
+    const roots = filepaths.map(filepath => {
+        const searchPath = ['', path.dirname(filepath)];
+        if (defined(job.searchPath)) {
+            searchPath.push(job.searchPath);
+        }
+        return {
+            schema: readSchemaFile(filepath),
+            filePath: filepath,
+            fileName: path.basename(filepath),
+            searchPath: searchPath
+        };
+    });
+
+    // The directories of the catalog are relative to the catalog file.
+    const catalog = {};
+    if (defined(job.catalog)) {
+        const catalogEntries = JSON.parse(fs.readFileSync(job.catalog));
+        for (const prefix in catalogEntries) {
+            catalog[prefix] = path.resolve(path.dirname(job.catalog), catalogEntries[prefix]);
+        }
+    }
+
+    // Plugins are modules exporting an object with the functions described in buildDocumentModel.
+    const plugins = [];
+    for (const plugin of defaultValue(job.plugins, [])) {
+        plugins.push(typeof plugin === 'string' ? require(path.resolve(plugin)) : plugin);
+    }
+
+    return {
+        schema: roots[0].schema,
+        filePath: roots[0].filePath,
+        fileName: roots[0].fileName,
+        schemas: (roots.length > 1) ? roots : undefined,
+        searchPath: roots[0].searchPath,
+        catalog: catalog,
+        dialect: job.dialect,
+        styleMode: styleModeArgument,
+        writeTOC: !defaultValue(job.noTOC, false),
+        headerLevel: defaultValue(job.headerLevel, 1),
+        checkmark: defaultValue(job.checkmark, null),
+        mustKeyword: defaultValue(job.keyword, null),
+        stylesheet: stylesheet,
+        schemaRelativeBasePath: defaultValue(job.schemaPath, null),
+        embedMode: enums.embedMode.none,
+        debug: defaultValue(job.debug, null),
+        suppressWarnings: defaultValue(job.suppressWarnings, false),
+        autoLink: autoLink,
+        groupInherited: defaultValue(job.groupInherited, false),
+        ignorableTypes: ignorableTypes,
+        plugins: plugins
+    };
+}
+
+/**
+* @function runJob
+* Generates the documentation for one job, and writes it to the output of the job, or to stdout.
+* In check mode, the outputs are compared with the existing files instead, and a job without any output fails.
+* @param  {object} job The job from the command line or a configuration file.
+* @return {object} The document model of the output, or undefined if there was nothing to check.
+*/
+function runJob(job) {
+    if (checkMode && !defined(job.output) && !defined(job.embedOutput) && !defined(job.outDir)) {
+        process.stderr.write(`Checking ${[].concat(job.schema).join(', ')} requires a file to compare with, given by --check=<file>, --output, -e, -o or a config file.\n`);
+        process.exitCode = 1;
+        return undefined;
+    }
+
+    const options = getJobOptions(job);
+    const ignorableTypes = options.ignorableTypes;
+    const embedOutput = defaultValue(job.embedOutput, null);
+    const outDir = defaultValue(job.outDir, null);
+
+    if (defined(embedOutput)) {
+        options.embedMode = enums.embedMode.writeIncludeStatements;
+        options.ignorableTypes = [];
+        writeOutput(embedOutput, generateMarkdown(options));
+        options.embedMode = enums.embedMode.referenceIncludeDocument;
+        options.ignorableTypes = ignorableTypes;
+    }
+
+    const model = buildDocumentModel(options);
+    if (job.strict) {
+        reportWarnings(model.warnings);
+    }
+
+    if (defined(outDir)) {
+        options.outDir = outDir;
+        if (defined(embedOutput)) {
+            options.embedFileName = path.relative(outDir, embedOutput);
+        }
+        if (checkMode) {
+            checkOutputDirectory(model, options);
+        } else {
+            renderDocumentModel(model, options);
+        }
+        return model;
+    }
+
+    const md = renderDocumentModel(model, options);
+    if (defined(job.output)) {
+        writeOutput(job.output, md);
+    } else if (!checkMode) {
+        process.stdout.write(md);
+    }
+    return model;
+}
+
+/**
+* @function getSchemaFiles
+* Determines the root schema files of a job. Each entry may be a schema file, a directory, whose schema files
+* are all used, or a glob with * and ? wildcards in the file name, like schemas/*.schema.json.
+* @param  {string|string[]} schema The schema of the job, or an array of them.
+* @return {object} The files, in the order given and sorted by name within directories, and the directories
+*                  whose schema files are used, so that new files are noticed in watch mode.
+*/
+function getSchemaFiles(schema) {
+    const files = [];
+    const directories = [];
+    for (const entry of [].concat(schema)) {
+        let directory;
+        let pattern;
+        if (fs.existsSync(entry) && fs.statSync(entry).isDirectory()) {
+            directory = entry;
+            pattern = SCHEMA_FILE_PATTERN;
+        } else if (/[*?]/.test(path.basename(entry))) {
+            directory = path.dirname(entry);
+            pattern = getGlobPattern(path.basename(entry));
+        } else {
+            files.push(entry);
+            continue;
+        }
+
+        const matches = fs.existsSync(directory) ? fs.readdirSync(directory).filter(file => pattern.test(file)).sort() : [];
+        if (matches.length === 0) {
+            throw new Error(`No schema files found in ${entry}`);
+        }
+        directories.push(path.resolve(directory));
+        for (const file of matches) {
+            files.push(path.join(directory, file));
+        }
+    }
+    return {
+        files: files,
+        directories: directories
+    };
+}
+
+/**
+* @function getGlobPattern
+* Converts a file name with * and ? wildcards into a regular expression.
+* @param  {string} glob The file name with wildcards.
+* @return {RegExp} The regular expression matching the whole file name.
+*/
+function getGlobPattern(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${  escaped.replace(/\*/g, '.*').replace(/\?/g, '.')  }$`);
+}
+
+/**
+* @function lintJob
+* Checks the schemas of one job for documentation problems, which are collected in lintProblems.
+* @param  {object} job The job from the command line or a configuration file.
+*/
+function lintJob(job) {
+    const options = getJobOptions(job);
+    const model = buildDocumentModel(options);
+    for (const problem of lintDocumentModel(model, options)) {
+        lintProblems.push(problem);
+    }
+}
+
+/**
+* @function reportLintProblems
+* Prints the problems of all linted jobs to stdout, and makes the process exit with an error if there are any.
+* @param  {object[]} problems The problems, as returned by lintDocumentModel.
+* @param  {string} format     "json" to print the problems as a JSON array, for tools like CI annotations.
+*                             Otherwise, one line is printed per problem.
+*/
+function reportLintProblems(problems, format) {
+    if (format === 'json') {
+        process.stdout.write(`${JSON.stringify(problems, null, 2)}\n`);
+    } else {
+        for (const problem of problems) {
+            process.stdout.write(`${problem.file}#${problem.pointer}: ${problem.message} (${problem.rule})\n`);
+        }
+    }
+    if (problems.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+* @function reportWarnings
+* Prints warnings to stderr, and makes the process exit with an error if there are any.
+* Like lint problems, they name the schema file by its path relative to the working directory.
+* @param  {object[]} warnings The warnings from the document model.
+*/
+function reportWarnings(warnings) {
+    for (const warning of warnings) {
+        const file = defined(warning.filePath) ? path.relative(process.cwd(), warning.filePath) : warning.fileName;
+        process.stderr.write(`${file}#${warning.pointer}: ${warning.message}\n`);
+    }
+    if (warnings.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+* @function writeOutput
+* Writes a generated document to a file, or in check mode, compares it with the file.
+* @param  {string} file    The path of the file.
+* @param  {string} content The generated document.
+*/
+function writeOutput(file, content) {
+    if (checkMode) {
+        checkOutput(file, content);
+    } else {
+        fs.writeFileSync(file, content);
+    }
+}
+
+/**
+* @function checkOutput
+* Compares a generated document with a file. When they differ, a unified diff is printed to stdout,
+* and the process will exit with an error.
+* @param  {string} file    The path of the file.
+* @param  {string} content The generated document.
+*/
+function checkOutput(file, content) {
+    const existing = fs.existsSync(file) ? fs.readFileSync(file).toString() : '';
+    const diff = unifiedDiff(existing, content, file, `${file} (generated)`);
+    if (diff.length > 0) {
+        process.stdout.write(diff);
+        process.stderr.write(`${file} is out of date.\n`);
+        process.exitCode = 1;
+    }
+}
+
+/**
+* @function checkOutputDirectory
+* Generates one document per type into a temporary directory, and compares them with the files in options.outDir.
+* @param  {object} model   The document model.
+* @param  {object} options The options for generateMarkdown.
+*/
+function checkOutputDirectory(model, options) {
+    const outDir = options.outDir;
+    const generatedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wetzel-'));
+    try {
+        renderDocumentModel(model, Object.assign({}, options, { outDir: generatedDir }));
+
+        const files = {};
+        for (const file of fs.readdirSync(generatedDir).concat(fs.existsSync(outDir) ? fs.readdirSync(outDir) : [])) {
+            files[file] = true;
+        }
+        // The embed output may be written into the same directory, but it is checked on its own.
+        delete files[options.embedFileName];
+        for (const file of Object.keys(files).sort()) {
+            const generatedFile = path.join(generatedDir, file);
+            checkOutput(path.join(outDir, file), fs.existsSync(generatedFile) ? fs.readFileSync(generatedFile).toString() : '');
+        }
+    } finally {
+        fs.rmSync(generatedDir, { recursive: true, force: true });
+    }
+}
+
+/**
+* @function watchJob
+* Runs a job, and runs it again whenever its root schema or any schema file that it references changes.
+* The referenced files are determined anew on every run, so that newly added $ref targets are picked up.
+* Errors, like a broken $ref, are reported without ending the process.
+* @param  {object} job The job from the command line or a configuration file.
+*/
+function watchJob(job) {
+    if (!defined(job.output) && !defined(job.outDir)) {
+        process.stderr.write(`Watching ${[].concat(job.schema).join(', ')} requires an output file or directory.\n`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const output = defaultValue(job.output, job.outDir);
+    const watchers = {};
+    let watchedFiles = {};
+    let watchedDirectories = {};
+    let previousTypes;
+    let failed = false;
+    let pendingRun;
+
+    function scheduleRun() {
+        // Editors often write a file in several steps, so only run once things settled down.
+        clearTimeout(pendingRun);
+        pendingRun = setTimeout(run, 100);
+    }
+
+    function run() {
+        let model;
+        try {
+            model = runJob(job);
+        } catch (ex) {
+            failed = true;
+            process.stderr.write(`Error generating ${output}: ${ex.message}\n`);
+            return;
+        }
+        failed = false;
+
+        // Types are identified by their file and pointer, because different types may have the same title.
+        const types = {};
+        for (const type of model.types) {
+            const key = defined(type.pointer) ? `${defaultValue(type.filePath, type.fileName)}#${type.pointer}` : type.title;
+            types[key] = { title: type.title, json: JSON.stringify(type) };
+        }
+
+        watchedFiles = {};
+        watchRootSchemas();
+        for (const file of model.files) {
+            watchedFiles[file] = true;
+        }
+        updateWatchers();
+
+        // The newly referenced files are watched already when this is reported, so that no change after it is missed.
+        if (defined(previousTypes)) {
+            process.stderr.write(`Regenerated ${output}: ${getChangedTypesDescription(previousTypes, types)}\n`);
+        } else {
+            process.stderr.write(`Generated ${output}, watching for changes...\n`);
+        }
+        previousTypes = types;
+    }
+
+    function watchRootSchemas() {
+        // Input directories and globs may gain new schema files, so those are watched as a whole.
+        let schemaFiles;
+        try {
+            schemaFiles = getSchemaFiles(job.schema);
+        } catch (ex) {
+            schemaFiles = { files: [], directories: [] };
+        }
+        for (const file of schemaFiles.files) {
+            watchedFiles[path.resolve(file)] = true;
+        }
+        watchedDirectories = {};
+        for (const directory of schemaFiles.directories) {
+            watchedDirectories[directory] = true;
+        }
+    }
+
+    function updateWatchers() {
+        // Directories are watched instead of files, so that files that are replaced (or created) are noticed as well.
+        const directories = {};
+        for (const file in watchedFiles) {
+            directories[path.dirname(file)] = true;
+        }
+        for (const directory in watchedDirectories) {
+            directories[directory] = true;
+        }
+        for (const directory in watchers) {
+            if (!directories[directory]) {
+                watchers[directory].close();
+                delete watchers[directory];
+            }
+        }
+        for (const directory in directories) {
+            if (!defined(watchers[directory])) {
+                watchers[directory] = fs.watch(directory, onDirectoryChange.bind(undefined, directory));
+            }
+        }
+    }
+
+    function onDirectoryChange(directory, eventType, fileName) {
+        // Only changed, created, removed or renamed files matter.
+        if (eventType !== 'change' && eventType !== 'rename') {
+            return;
+        }
+        // After an error, any changed schema may be the one that fixes it, e.g. by creating a missing $ref target.
+        if (!defined(fileName) || watchedFiles[path.join(directory, fileName)] ||
+            ((failed || watchedDirectories[directory]) && SCHEMA_FILE_PATTERN.test(fileName))) {
+            scheduleRun();
+        }
+    }
+
+    watchRootSchemas();
+    updateWatchers();
+    run();
+}
+
+/**
+* @function getChangedTypesDescription
+* Describes which types were added, removed or changed between two runs.
+* @param  {object} previousTypes The types of the previous run, as a map from their file and pointer to their title and serialized document model.
+* @param  {object} types         The types of the current run, as a map from their file and pointer to their title and serialized document model.
+* @return {string} The description of the changed types.
+*/
+function getChangedTypesDescription(previousTypes, types) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    for (const key in types) {
+        if (!(key in previousTypes)) {
+            added.push(types[key].title);
+        } else if (previousTypes[key].json !== types[key].json) {
+            changed.push(types[key].title);
+        }
+    }
+    for (const key in previousTypes) {
+        if (!(key in types)) {
+            removed.push(previousTypes[key].title);
+        }
+    }
+
+    const parts = [];
+    if (changed.length > 0) {
+        parts.push(`changed ${changed.join(', ')}`);
+    }
+    if (added.length > 0) {
+        parts.push(`added ${added.join(', ')}`);
+    }
+    if (removed.length > 0) {
+        parts.push(`removed ${removed.join(', ')}`);
+    }
+    return parts.length > 0 ? parts.join('; ') : 'no types changed';
+}
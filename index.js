@@ -1,2 +1,3 @@
 "use strict";
-module.exports = require('./lib/generateMarkdown');
\ No newline at end of file
+module.exports = require('./lib/generateMarkdown');
+module.exports.buildDocumentModel = require('./lib/buildDocumentModel');module.exports.lintDocumentModel = require('./lib/lintDocumentModel');
@@ -0,0 +1,112 @@
+"use strict";
+const defined = require('./defined');
+const defaultValue = require('./defaultValue');
+const replaceRef = require('./replaceRef');
+const getPointerTypeName = replaceRef.getPointerTypeName;
+const escapePointerToken = replaceRef.escapePointerToken;
+const getBaseUri = replaceRef.getBaseUri;
+const typeIdentity = require('./typeIdentity');
+
+module.exports = addDefinitionTypes;
+
+const DEFINITION_KEYWORDS = ['definitions', '$defs'];
+
+/**
+* @function addDefinitionTypes
+* Adds the entries of definitions and $defs of the documented schemas to the referenced schemas, so that they
+* are documented even if they are not referenced, or only referenced from within their own schema.
+* A definition without a title is named after its key, and gets a type name derived from its JSON pointer.
+* Every definition gets the title of the schema that contains it as its owner, and its JSON pointer within the file.
+* Like referenced schemas, a definition whose title is already used by another schema gets a title of its own.
+* @param  {object} referencedSchemas - The referenced schemas, as a map from the schema.title to objects
+* that contain the schema, the file name, the resolved path of the file, the JSON pointer, the source of the document, the parents titles and
+* the children titles. Definitions are added to it.
+* @param  {object} context - The state shared while resolving references, see replaceRef.
+*/
+function addDefinitionTypes(referencedSchemas, context) {
+    const titles = new Map();
+    const queue = [];
+    for (const title in referencedSchemas) {
+        if (defined(referencedSchemas[title].schema)) {
+            titles.set(referencedSchemas[title].schema, title);
+            queue.push(title);
+        }
+    }
+
+    while (queue.length > 0) {
+        const ownerTitle = queue.shift();
+        const owner = referencedSchemas[ownerTitle];
+        const ownerPointer = defaultValue(owner.pointer, '');
+
+        for (const keyword of DEFINITION_KEYWORDS) {
+            const definitions = owner.schema[keyword];
+            if (!defined(definitions) || typeof definitions !== 'object') {
+                continue;
+            }
+
+            for (const key in definitions) {
+                const definition = definitions[key];
+                if (!definitions.hasOwnProperty(key) || definition === null || typeof definition !== 'object') {
+                    continue;
+                }
+
+                const pointer = `${ownerPointer}/${escapePointerToken(keyword)}/${escapePointerToken(key)}`;
+                if (titles.has(definition)) {
+                    setOwner(referencedSchemas, titles.get(definition), ownerTitle);
+                    referencedSchemas[titles.get(definition)].pointer = pointer;
+                    continue;
+                }
+
+                // A definition with an $id of its own is identified by it, like when it is referenced by that URI.
+                const idUri = getBaseUri(definition, owner.source);
+                const identity = defined(idUri) ? typeIdentity.getIdentity(idUri, '') : typeIdentity.getIdentity(defaultValue(owner.source, ''), pointer);
+                const location = { fileName: owner.fileName, filePath: owner.filePath, pointer: pointer };
+                definition.title = typeIdentity.getUniqueTitle(defaultValue(definition.title, key), identity, location, context);
+                if (definition.title in referencedSchemas) {
+                    // A definition that is referenced is documented through the copy that the reference loaded.
+                    if (defined(referencedSchemas[definition.title].schema)) {
+                        setOwner(referencedSchemas, definition.title, ownerTitle);
+                    }
+                    continue;
+                }
+                definition.typeName = typeIdentity.getUniqueTypeName(defaultValue(definition.typeName, getPointerTypeName(pointer)), identity, context);
+
+                titles.set(definition, definition.title);
+                referencedSchemas[definition.title] = {
+                    schema: definition,
+                    fileName: owner.fileName,
+                    filePath: owner.filePath,
+                    pointer: pointer,
+                    source: owner.source,
+                    parents: [ownerTitle],
+                    children: []
+                };
+                setOwner(referencedSchemas, definition.title, ownerTitle);
+                queue.push(definition.title);
+            }
+        }
+    }
+}
+
+/**
+* @function setOwner
+* Records the schema that contains a definition, so that the definition is listed below it in the table of contents.
+* @param  {object} referencedSchemas - The referenced schemas.
+* @param  {string} title - The title of the definition.
+* @param  {string} ownerTitle - The title of the schema that contains the definition.
+*/
+function setOwner(referencedSchemas, title, ownerTitle) {
+    const type = referencedSchemas[title];
+    const owner = referencedSchemas[ownerTitle];
+    if (defined(type.owner) || title === ownerTitle) {
+        return;
+    }
+    type.owner = ownerTitle;
+    // References within the same file don't know the name of the file.
+    if (type.fileName === '') {
+        type.fileName = owner.fileName;
+    }
+    if (owner.children.indexOf(title) === -1) {
+        owner.children.push(title);
+    }
+}
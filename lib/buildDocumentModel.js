@@ -0,0 +1,956 @@
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const defined = require('./defined');
+const defaultValue = require('./defaultValue');
+const sortObject = require('./sortObject');
+const isSchema = require('./isSchema');
+const schema3 = require('./schema3Resolver');
+const schema4 = require('./schema4Resolver');
+const gltfPlugin = require('./gltfPlugin');
+const dialects = require('./dialects');
+const lineage = require('./lineage');
+const escapePointerToken = require('./replaceRef').escapePointerToken;
+
+module.exports = buildDocumentModel;
+
+// The lint rules of the warnings of the resolvers that don't affect the generated document, see the problems of the model.
+const LINT_RULES = ['undefined-required'];
+
+// The keywords of the properties of a conditional subschema that are documented as constraints, see getConstraint.
+const CONSTRAINT_KEYWORDS = ['type', 'const', 'enum', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'minLength', 'maxLength', 'minItems', 'maxItems', 'pattern', 'format'];
+
+// The keywords of conditional subschemas that don't constrain anything, and the ones inserted by the resolvers.
+const ANNOTATION_KEYWORDS = ['title', 'description', '$comment', 'examples', 'default', 'deprecated', 'readOnly', 'writeOnly', 'typeName'].concat(lineage.keywords);
+
+/**
+* @function buildDocumentModel
+* Resolves the json schema provided within the options parameter, and builds a plain JSON tree
+* describing everything that should be documented about it. The tree does not contain any markup,
+* so that it can be rendered to Markdown, AsciiDoctor or any other format.
+*
+* The returned document model has the following structure:
+* - title: The title of the root schema.
+* - warnings: An array of problems found in the schemas, each with a message, the name of the schema file as it is referenced,
+*   the resolved path of that file if it is known, and the JSON pointer to the problem within that file. Some also have the lint rule that they belong to, see lintDocumentModel.
+* - problems: An array of problems like the warnings, each with its lint rule, that don't affect the generated document,
+*   so that only lintDocumentModel reports them, like required properties that are not defined.
+* - toc: The table of contents, as an array of entries with a title, the typeName that the entry links to,
+*   a root flag set for the root schema, and an array of children entries.
+* - types: The array of all types, ordered by title. See getTypeModel.
+* - files: The sorted absolute paths of all schema files that were loaded through a $ref.
+*
+* Vendor keywords (like x-units) are documented by plugins, given as the plugins option.
+* A plugin is an object that may define any of the following functions, which are called with the schema
+* of a type or property. When multiple plugins return a value, the value of the last plugin is used,
+* while paragraphs and bullets of all plugins are combined. The built-in gltf plugin always comes first.
+* - getTypeDescription(schema): The description of the type, replacing schema.description.
+* - getTypeParagraphs(schema): An array of additional paragraphs shown after the description of the type.
+* - getTypeBullets(schema): An array of bullets shown for the type, each with a label and a value.
+* - getPropertyDescription(schema): The description shown in the details of the property, in place of schema.description.
+* - getPropertyBullets(schema): An array of bullets shown in the details of the property, each with a label and a value.
+* - getEnumNames(schema): An array with the display names of the values of schema.enum.
+*
+* @param  {object} options - The set of configuration options, as passed to generateMarkdown.
+* Only the schema, fileName, filePath, schemas, searchPath, ignorableTypes, catalog, plugins, dialect and debug options are used.
+* To document several root schemas in one document, schemas is given instead of schema and fileName. It is an array
+* of objects with the schema, its fileName and optionally its filePath and its own searchPath. The table of contents then has one entry per root.
+* The dialect (like draft-04 or 2020-12) is used for a schema without a recognized $schema, instead of guessing it
+* from the keywords that the schema uses.
+* The catalog is an object mapping URI prefixes (like https://schemas.example.com/) to local directories,
+* which is used to load schemas that are referenced by absolute URIs.
+* @return {object} The document model.
+*/
+function buildDocumentModel(options) {
+    const searchPath = defaultValue(options.searchPath, ['']);
+    const ignorableTypes = defaultValue(options.ignorableTypes, []);
+    const debug = defaultValue(options.debug, null);
+    const plugins = [gltfPlugin].concat(defaultValue(options.plugins, []));
+    const warnings = [];
+    const refContext = { loadedFiles: {}, catalog: defaultValue(options.catalog, {}), warnings: [] };
+    const roots = defaultValue(options.schemas, [{ schema: options.schema, fileName: options.fileName, filePath: options.filePath }]);
+
+    // All roots are resolved into one graph, so that the types that they share are documented once.
+    const rootSchemas = [];
+    const referencedSchemas = {};
+    let resolvedWarnings = [];
+    for (const root of roots) {
+        const rootSearchPath = defaultValue(root.searchPath, searchPath);
+        refContext.fileName = root.fileName;
+        refContext.filePath = getRootFilePath(root, rootSearchPath);
+        const dialect = getSchemaDialect(root.schema, refContext, options.dialect, warnings);
+        const resolver = (dialect.resolver === 'schema3') ? schema3 : schema4;
+        const resolved = resolver.resolve(root.schema, root.fileName, rootSearchPath, ignorableTypes, debug, refContext);
+        rootSchemas.push(resolved.schema);
+        mergeReferencedSchemas(referencedSchemas, resolved.referencedSchemas);
+        resolvedWarnings = resolvedWarnings.concat(resolved.warnings);
+    }
+
+    const orderedTypes = sortObject(referencedSchemas);
+    for (const title in orderedTypes) {
+        orderedTypes[title].children.sort();
+    }
+
+    const typeNames = {};
+    const documentedTitles = {};
+    for (const title in orderedTypes) {
+        if (defined(orderedTypes[title].schema)) {
+            typeNames[getTypeName(orderedTypes[title].schema, title)] = true;
+            documentedTitles[title] = getTypeName(orderedTypes[title].schema, title);
+        }
+    }
+
+    const types = [];
+    for (const title in orderedTypes) {
+        const type = getTypeModel(title, orderedTypes[title], typeNames, documentedTitles, plugins, warnings);
+        if (type.documented && !defined(type.title)) {
+            warnings.push({ rule: 'missing-title', message: 'Title not defined.', fileName: type.fileName, filePath: type.filePath, pointer: type.pointer });
+        }
+        types.push(type);
+    }
+
+    const allWarnings = warnings.concat(resolvedWarnings, refContext.warnings);
+    return {
+        title: rootSchemas.map(rootSchema => rootSchema.title).join(', '),
+        warnings: allWarnings.filter(warning => LINT_RULES.indexOf(warning.rule) === -1),
+        problems: allWarnings.filter(warning => LINT_RULES.indexOf(warning.rule) !== -1),
+        toc: (rootSchemas.length === 1) ? getTableOfContents(rootSchemas[0], orderedTypes) : getMultipleRootsTableOfContents(rootSchemas, orderedTypes),
+        types: types,
+        files: Object.keys(refContext.loadedFiles).sort()
+    };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+* @function getRootFilePath
+* Gets the resolved path of a root schema file, so that references to it from other schemas are recognized.
+* Without a filePath, the file is looked up in the search path like a reference.
+* @param  {object} root       The root schema, with its fileName and an optional filePath.
+* @param  {string[]} searchPath The path list where schema files are looked up.
+* @return {string} The resolved path, or undefined if the file can't be found.
+*/
+function getRootFilePath(root, searchPath) {
+    if (defined(root.filePath)) {
+        return path.resolve(root.filePath);
+    }
+    if (!defined(root.fileName)) {
+        return undefined;
+    }
+    for (const directory of searchPath) {
+        const filePath = path.join(directory, root.fileName);
+        if (fs.existsSync(filePath)) {
+            return path.resolve(filePath);
+        }
+    }
+    return undefined;
+}
+
+/**
+* @function getSchemaDialect
+* Determines the JSON Schema dialect of a root schema, from its $schema, the dialect option,
+* or the keywords that it uses, in that order. Warns if $schema is missing or not recognized.
+* @param  {object} schema      The root schema.
+* @param  {object} file        The fileName of the root schema file, and its resolved filePath if it is known.
+* @param  {string} dialectName The name of the dialect that was given as an option, if any.
+* @param  {object[]} warnings  The warnings, which are added to.
+* @return {object} The dialect, see dialects.
+*/
+function getSchemaDialect(schema, file, dialectName, warnings) {
+    if (defined(schema.$schema)) {
+        const dialect = dialects.getDialect(schema.$schema);
+        if (defined(dialect)) {
+            return dialect;
+        }
+        warnings.push({ message: 'Unrecognized JSON Schema.', fileName: file.fileName, filePath: file.filePath, pointer: '/$schema' });
+    } else if (!defined(dialectName)) {
+        warnings.push({ message: 'No JSON Schema version ($schema) given.', fileName: file.fileName, filePath: file.filePath, pointer: '' });
+    }
+
+    if (defined(dialectName)) {
+        const dialect = dialects.getDialectByName(dialectName);
+        if (!defined(dialect)) {
+            throw new Error(`Unknown dialect ${dialectName}, expected one of ${dialects.names.join(', ')}`);
+        }
+        return dialect;
+    }
+    return dialects.detectDialect(schema);
+}
+
+/**
+* @function mergeReferencedSchemas
+* Merges the referenced schemas of one root schema into those of the other root schemas.
+* Types with the same title are the same type, whose parents and children are combined.
+* @param  {object} target The referenced schemas of the previous roots, which are added to.
+* @param  {object} source The referenced schemas of another root, as a map from schema.title to objects
+*                         containing the schema, the file name, parent titles and children titles.
+*/
+function mergeReferencedSchemas(target, source) {
+    for (const title in source) {
+        if (!source.hasOwnProperty(title)) {
+            continue;
+        }
+        const type = target[title];
+        if (!defined(type)) {
+            target[title] = source[title];
+            continue;
+        }
+        if (!defined(type.schema)) {
+            type.schema = source[title].schema;
+            type.fileName = source[title].fileName;
+            type.filePath = source[title].filePath;
+            type.pointer = source[title].pointer;
+            type.source = source[title].source;
+        }
+        type.owner = defaultValue(type.owner, source[title].owner);
+        type.parents = type.parents.concat(source[title].parents);
+        type.children = type.children.concat(source[title].children.filter(child => type.children.indexOf(child) === -1));
+    }
+}
+
+/**
+* @function getTypeName
+* Gets the name that identifies a type in anchors, links and output file names.
+* @param  {object} schema The schema of the type.
+* @param  {string} title  The title of the type.
+* @return {string} The type name inserted by $ref resolution, or a name derived from the title.
+*/
+function getTypeName(schema, title) {
+    let typeName = schema.typeName;
+    if (!defined(typeName)) {
+        typeName = title.toLowerCase().replace(/ /g, ".");
+    }
+    return typeName;
+}
+
+/**
+* @function getTableOfContents
+* Builds the table of contents indicating all of the types that are documented.
+* Definitions are listed below the schema that contains them, including the root schema.
+* @param  {object} schema       The root schema that the documentation is for.
+* @param  {object} orderedTypes The types for the TOC, as an ordered map from schema.title to objects
+*                               containing the schema, the file name, parent titles, children titles and the owner title of definitions
+* @return {object[]} The top-level entries of the table of contents.
+*/
+function getTableOfContents(schema, orderedTypes) {
+    const toc = [];
+    for (const title in orderedTypes) {
+        const currentType = orderedTypes[title];
+        const parents = getOtherParents(currentType, title);
+        if (title === schema.title ||
+            (!defined(currentType.owner) && (parents.length > 1 || parents.indexOf(schema.title) !== -1))) {
+            toc.push({
+                title: title,
+                typeName: getTypeName(currentType.schema, title),
+                root: title === schema.title,
+                children: getRecursiveTableOfContents(orderedTypes, title, schema.title)
+            });
+        }
+    }
+    return toc;
+}
+
+/**
+* @function getMultipleRootsTableOfContents
+* Builds the table of contents for several root schemas, which has one entry per root. Below each root, the types
+* that the single root table of contents would list at the top level are listed, if they can be reached from that root.
+* @param  {object[]} schemas    The root schemas that the documentation is for.
+* @param  {object} orderedTypes The types for the TOC, as an ordered map from schema.title to objects
+*                               containing the schema, the file name, parent titles, children titles and the owner title of definitions
+* @return {object[]} The top-level entries of the table of contents.
+*/
+function getMultipleRootsTableOfContents(schemas, orderedTypes) {
+    const rootTitles = schemas.map(schema => schema.title);
+    const toc = [];
+    for (const rootTitle in orderedTypes) {
+        if (rootTitles.indexOf(rootTitle) === -1) {
+            continue;
+        }
+
+        const reachable = getReachableTitles(orderedTypes, rootTitle);
+        const children = getRecursiveTableOfContents(orderedTypes, rootTitle, rootTitle);
+        for (const title in orderedTypes) {
+            const currentType = orderedTypes[title];
+            const parents = getOtherParents(currentType, title);
+            if (reachable[title] && rootTitles.indexOf(title) === -1 && !defined(currentType.owner) &&
+                (parents.length > 1 || parents.indexOf(rootTitle) !== -1)) {
+                children.push({
+                    title: title,
+                    typeName: getTypeName(currentType.schema, title),
+                    root: false,
+                    children: getRecursiveTableOfContents(orderedTypes, title, rootTitle)
+                });
+            }
+        }
+
+        toc.push({
+            title: rootTitle,
+            typeName: getTypeName(orderedTypes[rootTitle].schema, rootTitle),
+            root: true,
+            children: children
+        });
+    }
+    return toc;
+}
+
+/**
+* @function getReachableTitles
+* Collects the titles of all types that can be reached from a type through its children.
+* @param  {object} orderedTypes The types, as an ordered map from schema.title to objects containing the children titles.
+* @param  {string} title        The title of the type to start from.
+* @return {object} The set of reachable titles, including the title of the type itself.
+*/
+function getReachableTitles(orderedTypes, title) {
+    const reachable = {};
+    const pending = [title];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        if (!reachable[current]) {
+            reachable[current] = true;
+            pending.push(...orderedTypes[current].children);
+        }
+    }
+    return reachable;
+}
+
+/**
+* @function getRecursiveTableOfContents
+* Collects the children entries of a table of contents entry, if and only if the child has a single parent,
+* or is a definition within the parent. The root schema and self-references are never listed as children,
+* and the root schema only lists its definitions, because the other types that it references are top-level entries.
+* @param  {object} orderedTypes The types for the TOC, as an ordered map from schema.title to objects
+*                               containing the schema, the file name, parent titles, children titles and the owner title of definitions
+* @param  {string} parentTitle    A string that contains the title of the parent object.
+* @param  {string} rootTitle      The title of the root schema.
+* @return {object[]} The children entries of the table of contents.
+*/
+function getRecursiveTableOfContents(orderedTypes, parentTitle, rootTitle) {
+    const entries = [];
+    for (let i = 0; i < orderedTypes[parentTitle].children.length; i++) {
+        const currentTitle = orderedTypes[parentTitle].children[i];
+        const currentType = orderedTypes[currentTitle];
+        if (currentTitle === rootTitle || currentTitle === parentTitle) {
+            continue;
+        }
+        const isChild = defined(currentType.owner) ?
+            currentType.owner === parentTitle :
+            (parentTitle !== rootTitle && getOtherParents(currentType, currentTitle).length === 1);
+        if (isChild) {
+            entries.push({
+                title: currentTitle.replace(`${parentTitle  } `, ""),
+                typeName: getTypeName(currentType.schema, currentTitle),
+                root: false,
+                children: getRecursiveTableOfContents(orderedTypes, currentTitle, rootTitle)
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+* @function getOtherParents
+* Gets the parent titles of a type, without the type itself, which is a parent of recursive types.
+* @param  {object} type  The type, containing the schema, the file name, parent titles and children titles.
+* @param  {string} title The title of the type.
+* @return {string[]} The titles of the other parents.
+*/
+function getOtherParents(type, title) {
+    return type.parents.filter(parent => parent !== title);
+}
+
+/**
+* @function getTypeModel
+* Builds the model of a single type.
+* Types that are only known as the parent of other types (because they are ignorable) are not documented,
+* and only have their title, parents and children set.
+* The types that a type extends with allOf or extends are its extends, each with the title, and the typeName
+* if the base type is documented. Ignorable base types are not documented, so they can't be linked.
+* The conditions of a type are the properties that it only requires, and the constraints that only apply, in some cases,
+* see getConditions, and each property has the conditions that require it as its requiredWhen. Keywords of the conditions
+* that are not documented are reported as a warning.
+* The patternProperties and propertyNames of a type are modeled like those of a property, see getPatternProperties.
+* @param  {string} title            The title of the type.
+* @param  {object} type             The type, containing the schema, the file name, parent titles and children titles.
+* @param  {object} typeNames        The set of type names that are documented.
+* @param  {object} documentedTitles A map from the titles of the documented types to their type names.
+* @param  {object[]} plugins        The plugins that document vendor keywords.
+* @param  {object[]} warnings       The warnings, which are added to.
+* @return {object} The model of the type.
+*/
+function getTypeModel(title, type, typeNames, documentedTitles, plugins, warnings) {
+    const schema = type.schema;
+    const model = {
+        title: title,
+        documented: defined(schema),
+        parents: type.parents,
+        children: type.children
+    };
+    if (!defined(schema)) {
+        return model;
+    }
+
+    // The title of the schema itself may be missing, in which case renderers should warn about it.
+    model.title = schema.title;
+    model.typeName = schema.typeName;
+    model.fileName = type.fileName;
+    model.filePath = type.filePath;
+    model.pointer = defaultValue(type.pointer, '');
+    model.type = schema.type;
+    model.description = defaultValue(getPluginValue(plugins, 'getTypeDescription', schema), schema.description);
+    model.paragraphs = getPluginList(plugins, 'getTypeParagraphs', schema);
+    model.bullets = getPluginList(plugins, 'getTypeBullets', schema);
+    model.additionalProperties = !(defined(schema.additionalProperties) && !schema.additionalProperties);
+    model.examples = schema.examples;
+    model.extends = defaultValue(schema.baseTypes, []).map(baseTitle => getTypeReference(baseTitle, documentedTitles));
+
+    model.properties = [];
+    const properties = defaultValue(schema.properties, {});
+    for (const name in properties) {
+        if (properties.hasOwnProperty(name)) {
+            model.properties.push(getPropertyModel(name, properties[name], typeNames, documentedTitles, plugins));
+        }
+    }
+
+    model.patternProperties = getPatternProperties(schema, typeNames, documentedTitles, plugins);
+    model.propertyNames = getPropertyNames(schema, plugins);
+
+    const undocumented = [];
+    model.conditions = getConditions(schema, undocumented);
+    if (undocumented.length > 0) {
+        const message = `The conditional keywords ${undocumented.join(', ')} are not documented.`;
+        warnings.push({ message: message, fileName: model.fileName, filePath: model.filePath, pointer: model.pointer });
+    }
+    for (const property of model.properties) {
+        property.requiredWhen = model.conditions.filter(condition => condition.required.indexOf(property.name) !== -1);
+    }
+
+    return model;
+}
+
+/**
+* @function getConditions
+* Gets the properties that a schema only requires, and the constraints of properties that only apply, in some cases.
+* These are given by the then and else of a conditional (including those that were inherited, see schema4Resolver),
+* by dependentRequired, by dependentSchemas, and by dependencies, which is the draft-04 to draft-07 keyword for both of them.
+* Each condition has the clauses that must be met (see getClauses), a negated flag if it applies when they are not met
+* (for else), the names of the properties that are required, and the constraints of properties (see getConstraint).
+* @param  {object} schema         The schema of the type.
+* @param  {string[]} undocumented The paths of the keywords of the conditions that are not documented, which are added to.
+* @return {object[]} The conditions.
+*/
+function getConditions(schema, undocumented) {
+    const conditions = [];
+    const conditionals = [{ if: schema.if, then: schema.then, else: schema.else }].concat(defaultValue(schema.inheritedConditions, []));
+    for (const conditional of conditionals) {
+        if (isSchema(conditional.if)) {
+            const clauses = getClauses(conditional.if);
+            addCondition(conditions, clauses, false, conditional.then, 'then', undocumented);
+            addCondition(conditions, clauses, true, conditional.else, 'else', undocumented);
+        }
+    }
+
+    for (const keyword of ['dependencies', 'dependentRequired', 'dependentSchemas']) {
+        const dependencies = defaultValue(schema[keyword], {});
+        for (const name in dependencies) {
+            if (dependencies.hasOwnProperty(name)) {
+                const dependency = dependencies[name];
+                const clauses = [{ property: name, present: true }];
+                const location = `${keyword}/${escapePointerToken(name)}`;
+                addCondition(conditions, clauses, false, Array.isArray(dependency) ? { required: dependency } : dependency, location, undocumented);
+            }
+        }
+    }
+    return conditions;
+}
+
+/**
+* @function addCondition
+* Adds a condition for the properties that a subschema requires and constrains, if there are any.
+* @param  {object[]} conditions   The conditions, which are added to.
+* @param  {object[]} clauses      The clauses of the condition.
+* @param  {boolean} negated       Whether the subschema applies when the clauses are not met.
+* @param  {object} subschema      The subschema that applies under the condition, like the then of a conditional.
+* @param  {string} location       The path of the subschema, like then or dependentSchemas/name, for undocumented keywords.
+* @param  {string[]} undocumented The paths of the keywords that are not documented, which are added to.
+*/
+function addCondition(conditions, clauses, negated, subschema, location, undocumented) {
+    if (!isSchema(subschema)) {
+        return;
+    }
+    const required = Array.isArray(subschema.required) ? subschema.required : [];
+    const constraints = [];
+    const properties = isSchema(subschema.properties) ? subschema.properties : {};
+    for (const name in properties) {
+        if (properties.hasOwnProperty(name)) {
+            const constraint = getConstraint(name, properties[name], `${location}/properties/${escapePointerToken(name)}`, undocumented);
+            if (defined(constraint)) {
+                constraints.push(constraint);
+            }
+        }
+    }
+    addUndocumentedKeywords(subschema, ['required', 'properties'], location, undocumented);
+
+    if (required.length > 0 || constraints.length > 0) {
+        conditions.push({
+            clauses: clauses,
+            negated: negated,
+            required: required,
+            constraints: constraints
+        });
+    }
+}
+
+/**
+* @function getConstraint
+* Gets the constraints that a conditional subschema adds to a property: its type, its values (from its const or enum),
+* its bounds, its length, its number of items, its pattern and its format.
+* @param  {string} name           The name of the property.
+* @param  {object} property       The schema of the property within the conditional subschema.
+* @param  {string} location       The path of the schema, for undocumented keywords.
+* @param  {string[]} undocumented The paths of the keywords that are not documented, which are added to.
+* @return {object} The constraint, with the name of the property and the constraints that are defined,
+* or undefined if the schema doesn't constrain anything that is documented.
+*/
+function getConstraint(name, property, location, undocumented) {
+    if (!isSchema(property)) {
+        if (property === false) {
+            undocumented.push(location);
+        }
+        return undefined;
+    }
+    addUndocumentedKeywords(property, CONSTRAINT_KEYWORDS, location, undocumented);
+    if (!CONSTRAINT_KEYWORDS.some(keyword => defined(property[keyword]))) {
+        return undefined;
+    }
+    return {
+        property: name,
+        type: getPropertyType(property),
+        values: defined(property.const) ? [property.const] : property.enum,
+        minimum: getMinimum(property),
+        maximum: getMaximum(property),
+        minLength: property.minLength,
+        maxLength: property.maxLength,
+        minItems: property.minItems,
+        maxItems: property.maxItems,
+        pattern: property.pattern,
+        format: property.format
+    };
+}
+
+/**
+* @function addUndocumentedKeywords
+* Adds the paths of the keywords of a conditional subschema that are neither documented nor annotations.
+* @param  {object} schema         The subschema.
+* @param  {string[]} documented   The keywords that are documented.
+* @param  {string} location       The path of the subschema.
+* @param  {string[]} undocumented The paths of the keywords that are not documented, which are added to.
+*/
+function addUndocumentedKeywords(schema, documented, location, undocumented) {
+    for (const keyword in schema) {
+        if (schema.hasOwnProperty(keyword) && documented.indexOf(keyword) === -1 && ANNOTATION_KEYWORDS.indexOf(keyword) === -1) {
+            undocumented.push(`${location}/${escapePointerToken(keyword)}`);
+        }
+    }
+}
+
+/**
+* @function getClauses
+* Gets the clauses of the if of a conditional, which must all be met. Each clause has the name of a property, and
+* either the values that the property has (from its const or enum), or the present flag if the property is defined
+* (from the required of the if). A clause with neither means that the property meets another constraint.
+* @param  {object} condition The schema of the if.
+* @return {object[]} The clauses, which are empty if the if doesn't constrain any property.
+*/
+function getClauses(condition) {
+    const clauses = [];
+    const properties = defaultValue(condition.properties, {});
+    for (const name in properties) {
+        if (properties.hasOwnProperty(name) && isSchema(properties[name])) {
+            const property = properties[name];
+            if (defined(property.const)) {
+                clauses.push({ property: name, values: [property.const] });
+            } else if (Array.isArray(property.enum)) {
+                clauses.push({ property: name, values: property.enum });
+            } else {
+                clauses.push({ property: name });
+            }
+        }
+    }
+
+    // A property that has a value must be defined as well, which is not repeated.
+    for (const name of defaultValue(condition.required, [])) {
+        if (!clauses.some(clause => clause.property === name)) {
+            clauses.push({ property: name, present: true });
+        }
+    }
+    return clauses;
+}
+
+/**
+* @function getTypeReference
+* Gets the reference to a type that another type extends, or that a property is inherited from.
+* @param  {string} title            The title of the type.
+* @param  {object} documentedTitles A map from the titles of the documented types to their type names.
+* @return {object} The title, and the typeName if the type is documented.
+*/
+function getTypeReference(title, documentedTitles) {
+    return {
+        title: title,
+        typeName: documentedTitles.hasOwnProperty(title) ? documentedTitles[title] : undefined
+    };
+}
+
+/**
+* @function getPropertyModel
+* Builds the model of a single property.
+* A property that a type inherited from one of its base types has the type that declared it as its inheritedFrom.
+* A polymorphic property has variants, which are modeled like properties, see getVariants.
+* @param  {string} name             The name of the property.
+* @param  {object} property         The schema of the property.
+* @param  {object} typeNames        The set of type names that are documented.
+* @param  {object} documentedTitles A map from the titles of the documented types to their type names.
+* @param  {object[]} plugins        The plugins that document vendor keywords.
+* @return {object} The model of the property.
+*/
+function getPropertyModel(name, property, typeNames, documentedTitles, plugins) {
+    const model = {
+        name: name,
+        inheritedFrom: defined(property.inheritedFrom) ? getTypeReference(property.inheritedFrom, documentedTitles) : undefined,
+        description: property.description,
+        detailedDescription: getPluginValue(plugins, 'getPropertyDescription', property),
+        type: defaultValue(getPropertyType(property), 'any'),
+        required: Boolean(property.required),
+        default: property.default
+    };
+
+    // The type of a polymorphic property is the union of the types of its variants.
+    const variants = getVariants(property);
+    if (defined(variants)) {
+        model.variants = variants.map(variant => getPropertyModel(name, variant, typeNames, documentedTitles, plugins));
+        model.type = model.variants.map(variant => variant.type).join(' | ');
+    }
+
+    if (model.type === 'array') {
+        let insideBrackets = '';
+        if ((defined(property.minItems)) && (property.minItems === property.maxItems)) {
+            // Min and max are the same so the array is constant size
+            insideBrackets = property.minItems;
+        } else if (defined(property.minItems) && defined(property.maxItems)) {
+            // Min and max define a range
+            insideBrackets = `${property.minItems  }-${  property.maxItems}`;
+        } else if (defined(property.minItems)) {
+            // Only min is defined
+            insideBrackets = `${property.minItems  }-*`;
+        } else if (defined(property.maxItems)) {
+            // Only max is defined
+            insideBrackets = `*-${  property.maxItems}`;
+        }
+
+        model.arrayInfo = `[${  insideBrackets  }]`;
+        if (defined(property.items) && defined(property.items.type)) {
+            model.itemType = (property.items.type === 'object') ? getPropertyType(property.items) : property.items.type;
+            model.type = model.itemType + model.arrayInfo;
+        } else {
+            model.type += model.arrayInfo;
+        }
+    }
+
+    const linkedType = defaultValue(model.itemType, model.type);
+    if (typeNames[linkedType]) {
+        model.link = linkedType;
+    }
+
+    model.uniqueItems = defined(property.uniqueItems) && property.uniqueItems;
+
+    const items = property.items;
+    if (defined(items)) {
+        model.items = {
+            minimum: getMinimum(items),
+            maximum: getMaximum(items),
+            minLength: items.minLength,
+            maxLength: items.maxLength,
+            enum: getEnum(items, plugins)
+        };
+    }
+
+    model.minimum = getMinimum(property);
+    model.maximum = getMaximum(property);
+    model.format = property.format;
+    model.pattern = property.pattern;
+    model.minLength = property.minLength;
+    model.maxLength = property.maxLength;
+    model.enum = getEnum(property, plugins);
+
+    const additionalProperties = property.additionalProperties;
+    if (defined(additionalProperties) && (typeof additionalProperties === 'object')) {
+        if (defined(additionalProperties.anyOf)) {
+            // Additional properties can be multiple specific types.
+            model.additionalProperties = {
+                anyOf: additionalProperties.anyOf.map(getPropertyType).filter(defined)
+            };
+        } else {
+            const additionalPropertiesType = getPropertyType(additionalProperties);
+            if (defined(additionalPropertiesType)) {
+                // TODO: additionalProperties is really a full schema
+                model.additionalProperties = {
+                    type: additionalPropertiesType
+                };
+                if ((additionalProperties.type === 'object') && defined(property.title)) {
+                    model.additionalProperties.link = property.title;
+                }
+            }
+        }
+    }
+
+    // A property whose schema is a type has its patterns documented with that type.
+    if (!defined(property.typeName)) {
+        model.patternProperties = getPatternProperties(property, typeNames, documentedTitles, plugins);
+        model.propertyNames = getPropertyNames(property, plugins);
+    }
+
+    model.examples = property.examples;
+    model.bullets = getPluginList(plugins, 'getPropertyBullets', property);
+
+    return model;
+}
+
+/**
+* @function getPatternProperties
+* Gets the properties of a schema whose names match a pattern, like the extensions keyed by a vendor prefix.
+* Each of them is modeled like a property (see getPropertyModel), with the regular expression as its name.
+* @param  {object} schema           The schema of the type or property.
+* @param  {object} typeNames        The set of type names that are documented.
+* @param  {object} documentedTitles A map from the titles of the documented types to their type names.
+* @param  {object[]} plugins        The plugins that document vendor keywords.
+* @return {object[]} The models of the pattern properties, which are empty if there are none.
+*/
+function getPatternProperties(schema, typeNames, documentedTitles, plugins) {
+    const patternProperties = defaultValue(schema.patternProperties, {});
+    return Object.keys(patternProperties).filter(pattern => isSchema(patternProperties[pattern])).map(pattern =>
+        getPropertyModel(pattern, patternProperties[pattern], typeNames, documentedTitles, plugins));
+}
+
+/**
+* @function getPropertyNames
+* Gets the restrictions of the propertyNames of a schema, which all property names must meet.
+* @param  {object} schema    The schema of the type or property.
+* @param  {object[]} plugins The plugins that document vendor keywords.
+* @return {object} The type of the names (which is string), and their pattern, format, minLength, maxLength
+* and enum, or undefined if the names are not restricted.
+*/
+function getPropertyNames(schema, plugins) {
+    const propertyNames = schema.propertyNames;
+    if (!isSchema(propertyNames)) {
+        return undefined;
+    }
+    return {
+        type: 'string',
+        pattern: propertyNames.pattern,
+        format: propertyNames.format,
+        minLength: propertyNames.minLength,
+        maxLength: propertyNames.maxLength,
+        enum: getEnum(propertyNames, plugins)
+    };
+}
+
+/**
+* @function getPluginValue
+* Gets the value that plugins provide for a schema. Later plugins take precedence over earlier ones.
+* @param  {object[]} plugins The plugins that document vendor keywords.
+* @param  {string} hook      The name of the plugin function to call.
+* @param  {object} schema    The schema of the type or property.
+* @return {object} The value returned by the last plugin that returned one, or undefined.
+*/
+function getPluginValue(plugins, hook, schema) {
+    let value;
+    for (const plugin of plugins) {
+        if (typeof plugin[hook] === 'function') {
+            value = defaultValue(plugin[hook](schema), value);
+        }
+    }
+    return value;
+}
+
+/**
+* @function getPluginList
+* Collects the arrays (e.g. of bullets) that plugins provide for a schema, in the order of the plugins.
+* @param  {object[]} plugins The plugins that document vendor keywords.
+* @param  {string} hook      The name of the plugin function to call.
+* @param  {object} schema    The schema of the type or property.
+* @return {object[]} The combined array, which is empty when no plugin returned anything.
+*/
+function getPluginList(plugins, hook, schema) {
+    let list = [];
+    for (const plugin of plugins) {
+        if (typeof plugin[hook] === 'function') {
+            list = list.concat(defaultValue(plugin[hook](schema), []));
+        }
+    }
+    return list;
+}
+
+/**
+* @function getMinimum
+* Gets the lower bound of a numeric schema, taking into account that newer schemas
+* define exclusiveMinimum as a number instead of a boolean.
+* @param  {object} schema The schema object that may define a minimum.
+* @return {object} The value of the bound, and whether it is exclusive, or undefined.
+*/
+function getMinimum(schema) {
+    if (defined(schema.exclusiveMinimum) && typeof schema.exclusiveMinimum === 'number') {
+        return { value: schema.exclusiveMinimum, exclusive: true };
+    }
+    if (defined(schema.minimum)) {
+        return { value: schema.minimum, exclusive: (defined(schema.exclusiveMinimum) && schema.exclusiveMinimum) };
+    }
+    return undefined;
+}
+
+/**
+* @function getMaximum
+* Gets the upper bound of a numeric schema, taking into account that newer schemas
+* define exclusiveMaximum as a number instead of a boolean.
+* @param  {object} schema The schema object that may define a maximum.
+* @return {object} The value of the bound, and whether it is exclusive, or undefined.
+*/
+function getMaximum(schema) {
+    if (defined(schema.exclusiveMaximum) && typeof schema.exclusiveMaximum === 'number') {
+        return { value: schema.exclusiveMaximum, exclusive: true };
+    }
+    if (defined(schema.maximum)) {
+        return { value: schema.maximum, exclusive: (defined(schema.exclusiveMaximum) && schema.exclusiveMaximum) };
+    }
+    return undefined;
+}
+
+/**
+ * @function getEnum
+ * Gets the possible enum values.
+ * Will try getting the information from the enum property and the enum names provided by plugins,
+ * but if they don't exist, it will fall back to trying to get the values from the anyOf object.
+ * @param  {object} schema The schema object that may be of an enum type.
+ * @param  {object[]} plugins The plugins that document vendor keywords.
+ * @return {object[]} The enum values, each with its value and an optional description, or undefined.
+ */
+function getEnum(schema, plugins) {
+    const propertyEnum = schema['enum'];
+    if (!defined(propertyEnum)) {
+        // It's possible that the enum value is defined using the anyOf construct instead, unless the anyOf lists variants.
+        return defined(getVariants(schema)) ? undefined : getAnyOfEnum(schema);
+    }
+
+    const propertyEnumNames = defaultValue(getPluginValue(plugins, 'getEnumNames', schema), []);
+
+    return propertyEnum.map((value, i) => ({
+        value: value,
+        description: propertyEnumNames[i]
+    }));
+}
+
+/**
+ * @function getVariants
+ * Gets the alternatives of a polymorphic schema, whose value is one of several types, like a string or a camera object.
+ * These are the schemas of its oneOf or anyOf, if each of them has a type. An anyOf that lists the values of an enum
+ * (see getAnyOfEnum), and alternatives that only add constraints (like required properties), are not variants.
+ * @param  {object} schema The schema object that may be polymorphic.
+ * @return {object[]} The schemas of the variants, or undefined if the schema is not polymorphic.
+ */
+function getVariants(schema) {
+    for (const keyword of ['oneOf', 'anyOf']) {
+        const alternatives = schema[keyword];
+        if (Array.isArray(alternatives) && alternatives.length > 0 &&
+            alternatives.every(alternative => alternative !== null && typeof alternative === 'object' && defined(getPropertyType(alternative))) &&
+            !isEnumAlternatives(alternatives)) {
+            return alternatives;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * @function isEnumAlternatives
+ * Determines if the alternatives of an anyOf or oneOf list the values of an enum, each as a const
+ * or an enum with a single value, next to alternatives that only give the type of the values.
+ * @param  {object[]} alternatives The schemas of the anyOf or oneOf.
+ * @return {boolean} true if the alternatives are the values of an enum; false otherwise
+ */
+function isEnumAlternatives(alternatives) {
+    const isValue = alternative => defined(alternative.const) || (Array.isArray(alternative.enum) && alternative.enum.length === 1);
+    const isType = alternative => Object.keys(alternative).every(key => key === 'type' || key === 'description');
+    return alternatives.some(isValue) && alternatives.every(alternative => isValue(alternative) || isType(alternative));
+}
+
+/**
+ * @function getAnyOfEnum
+ * Gets the possible enum values, if they are defined within a JSON anyOf object.
+ * @param  {object} schema The schema object that may be of an enum type.
+ * @return {object[]} The enum values, each with its value and an optional description, or undefined.
+ */
+function getAnyOfEnum(schema) {
+    const propertyAnyOf = schema['anyOf'];
+    if (!defined(propertyAnyOf)) {
+        return undefined;
+    }
+
+    const values = [];
+    const length = propertyAnyOf.length;
+    for (let i = 0; i < length; ++i) {
+        const element = propertyAnyOf[i];
+        const constValue = element['const'];
+        const enumValue = element['enum'];
+
+        // Check if 'const' has been used in place of 'enum'.
+        if (defined(constValue)) {
+            values.push({ value: constValue, description: element['description'] });
+        } else if (defined(enumValue) && Array.isArray(enumValue) && enumValue.length > 0) {
+            // Otherwise, it should be an array with a single value in it. The likely scenario
+            // when there's no enum value is that it's the object containing the _type_ of the enum.
+            values.push({ value: enumValue[0], description: element['description'] });
+        }
+    }
+
+    return values;
+}
+
+/**
+ * @function getPropertyType
+ * Determines the type of of a property, taking into account that it
+ * might be defined within an anyOf property for enum values.
+ * @param  {object} schema The schema object that may be of an enum type.
+ * @return {string} The type of the enum
+ */
+function getPropertyType(schema) {
+
+    // If the type name was inserted in the schema based on a $ref,
+    // then this type name will be returned
+    const typeName = schema.typeName;
+    if (defined(typeName)) {
+        return typeName;
+    }
+
+    // For non-anyOf enum types, the type will be a regular property on the object.
+    let type = schema.type;
+    if (defined(type)) {
+        return type;
+    }
+
+    // For enums stored using anyOf, we'll need to get it from within anyOf.
+    const propertyAnyOf = schema['anyOf'];
+    if (!defined(propertyAnyOf)) {
+        return undefined;
+    }
+
+    // The type will be defined as one of the objects contained within
+    // the anyOf property, and the only property within that object with
+    // a property name "type" indicating the type of the enum value.
+    const length = propertyAnyOf.length;
+    for (let i = 0; i < length; ++i) {
+        type = propertyAnyOf[i]['type'];
+        if (defined(type)) {
+            break;
+        }
+    }
+
+    return type;
+}
@@ -0,0 +1,165 @@
+"use strict";
+const defined = require('./defined');
+
+/**
+* The registry of the JSON Schema dialects that wetzel knows. Each dialect has a name, which is used
+* with the --dialect option, the URI of its meta-schema, and the resolver that normalizes its schemas:
+* schema3 for draft-03, which uses extends and boolean required, and schema4 for all later drafts.
+*/
+const DIALECTS = [
+    { name: 'draft-03', uri: 'http://json-schema.org/draft-03/schema', resolver: 'schema3' },
+    { name: 'draft-04', uri: 'http://json-schema.org/draft-04/schema', resolver: 'schema4' },
+    { name: 'draft-06', uri: 'http://json-schema.org/draft-06/schema', resolver: 'schema4' },
+    { name: 'draft-07', uri: 'http://json-schema.org/draft-07/schema', resolver: 'schema4' },
+    { name: '2019-09', uri: 'https://json-schema.org/draft/2019-09/schema', resolver: 'schema4' },
+    { name: '2020-12', uri: 'https://json-schema.org/draft/2020-12/schema', resolver: 'schema4' }
+];
+
+// The keywords whose values are maps from names to schemas, rather than schemas.
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas'];
+
+// The keywords whose values are data, which must not be mistaken for schemas.
+const DATA_KEYWORDS = ['enum', 'const', 'default', 'examples'];
+
+module.exports = {
+    names: DIALECTS.map(dialect => dialect.name),
+    getDialect: getDialect,
+    getDialectByName: getDialectByName,
+    detectDialect: detectDialect,
+    findSubschemasWithDialect: findSubschemasWithDialect
+};
+
+/**
+* @function normalizeUri
+* Normalizes a meta-schema URI, so that URIs that only differ in their scheme (http or https),
+* a trailing '#' or a trailing '/' identify the same dialect.
+* @param  {string} uri - The URI, as given by $schema.
+* @return {string} The normalized URI.
+*/
+function normalizeUri(uri) {
+    return uri.trim().replace(/^https?:\/\//i, '').replace(/#$/, '').replace(/\/$/, '').toLowerCase();
+}
+
+/**
+* @function getDialect
+* Gets the dialect that a $schema URI identifies.
+* @param  {string} uri - The URI, as given by $schema.
+* @return {object} The dialect, or undefined if the URI is not known.
+*/
+function getDialect(uri) {
+    if (typeof uri !== 'string') {
+        return undefined;
+    }
+    const normalized = normalizeUri(uri);
+    return DIALECTS.find(dialect => normalizeUri(dialect.uri) === normalized);
+}
+
+/**
+* @function getDialectByName
+* Gets a dialect by its name, like draft-04 or 2020-12.
+* @param  {string} name - The name of the dialect.
+* @return {object} The dialect, or undefined if there is no dialect with that name.
+*/
+function getDialectByName(name) {
+    return DIALECTS.find(dialect => dialect.name === name);
+}
+
+/**
+* @function detectDialect
+* Guesses the dialect of a schema that doesn't declare it, from the keywords that it uses:
+* extends or a boolean required indicate draft-03, $recursiveRef or $recursiveAnchor indicate 2019-09,
+* and $defs, $dynamicRef, $dynamicAnchor or prefixItems indicate 2020-12. Otherwise, draft-04 is assumed.
+* @param  {object} schema - The schema.
+* @return {object} The dialect.
+*/
+function detectDialect(schema) {
+    const keywords = {};
+    collectKeywords(schema, keywords);
+    if (keywords.extends || keywords.booleanRequired) {
+        return getDialectByName('draft-03');
+    }
+    if (keywords.$recursiveRef || keywords.$recursiveAnchor) {
+        return getDialectByName('2019-09');
+    }
+    if (keywords.$defs || keywords.$dynamicRef || keywords.$dynamicAnchor || keywords.prefixItems) {
+        return getDialectByName('2020-12');
+    }
+    return getDialectByName('draft-04');
+}
+
+/**
+* @function collectKeywords
+* Collects the keywords that are used by a schema and all of its subschemas.
+* @param  {object} schema - The schema.
+* @param  {object} keywords - The set of keywords that is filled, where booleanRequired marks a boolean required.
+*/
+function collectKeywords(schema, keywords) {
+    if (schema === null || typeof schema !== 'object') {
+        return;
+    }
+    if (Array.isArray(schema)) {
+        schema.forEach(item => collectKeywords(item, keywords));
+        return;
+    }
+    for (const name in schema) {
+        if (!schema.hasOwnProperty(name) || DATA_KEYWORDS.indexOf(name) !== -1) {
+            continue;
+        }
+        keywords[name] = true;
+        if (name === 'required' && typeof schema.required === 'boolean') {
+            keywords.booleanRequired = true;
+        }
+        if (SCHEMA_MAP_KEYWORDS.indexOf(name) !== -1 && schema[name] !== null && typeof schema[name] === 'object') {
+            for (const key in schema[name]) {
+                if (schema[name].hasOwnProperty(key)) {
+                    collectKeywords(schema[name][key], keywords);
+                }
+            }
+        } else {
+            collectKeywords(schema[name], keywords);
+        }
+    }
+}
+
+/**
+* @function findSubschemasWithDialect
+* Finds the subschemas that declare a dialect with another resolver than the given one with their own $schema.
+* The subschemas of a found subschema are not searched.
+* @param  {object} schema - The schema, whose own $schema is ignored.
+* @param  {string} resolver - The resolver of the dialect of the schema, like schema4.
+* @return {object[]} The subschemas, in document order.
+*/
+function findSubschemasWithDialect(schema, resolver) {
+    const found = [];
+    for (const name in schema) {
+        if (schema.hasOwnProperty(name) && DATA_KEYWORDS.indexOf(name) === -1) {
+            collectSubschemasWithDialect(schema[name], resolver, found);
+        }
+    }
+    return found;
+}
+
+/**
+* @function collectSubschemasWithDialect
+* Adds a value to the found subschemas if it declares a dialect with another resolver, and searches its members otherwise.
+* @param  {object} value - The value within a schema.
+* @param  {string} resolver - The resolver of the enclosing dialect.
+* @param  {object[]} found - The subschemas that were found so far.
+*/
+function collectSubschemasWithDialect(value, resolver, found) {
+    if (value === null || typeof value !== 'object') {
+        return;
+    }
+    const dialect = getDialect(value.$schema);
+    if (defined(dialect) && dialect.resolver !== resolver) {
+        if (found.indexOf(value) === -1) {
+            found.push(value);
+        }
+        return;
+    }
+    for (const name in value) {
+        if (value.hasOwnProperty(name) && DATA_KEYWORDS.indexOf(name) === -1) {
+            collectSubschemasWithDialect(value[name], resolver, found);
+        }
+    }
+}
@@ -8,7 +8,9 @@ const autoLinkOption = {
 
 const styleModeOption = {
     'Markdown': 'Markdown',
-    'AsciiDoctor' : 'AsciiDoctor'
+    'AsciiDoctor' : 'AsciiDoctor',
+    'Html': 'Html',
+    'ReStructuredText': 'ReStructuredText'
 };
 
 const embedMode = {
@@ -24,7 +26,7 @@ module.exports = {
     autoLinkOption: autoLinkOption,
 
     /**
-     * Indicates the output style mode, Markdown or AsciiDoctor.
+     * Indicates the output style mode, Markdown, AsciiDoctor, Html or ReStructuredText.
      */
     styleModeOption: styleModeOption,
 
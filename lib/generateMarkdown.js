@@ -1,13 +1,15 @@
 "use strict";
+const fs = require('fs');
+const path = require('path');
 const defined = require('./defined');
 const defaultValue = require('./defaultValue');
 const sortObject = require('./sortObject');
-const schema3 = require('./schema3Resolver');
-const schema4 = require('./schema4Resolver');
-const style = require('./style');
+const buildDocumentModel = require('./buildDocumentModel');
+const createStyle = require('./style');
 const enums = require('./enums');
 
 module.exports = generateMarkdown;
+module.exports.renderDocumentModel = renderDocumentModel;
 
 /**
 * @function generateMarkdown
@@ -16,87 +18,167 @@ module.exports = generateMarkdown;
 * @return {string} The full markdown content based on the requested options.
 */
 function generateMarkdown(options) {
+    return renderDocumentModel(buildDocumentModel(options), options);
+}
+
+/**
+* @function renderDocumentModel
+* Renders a document model, as created by buildDocumentModel, to Markdown or AsciiDoctor.
+* @param  {object} model - The document model.
+* @param  {object} options - The set of configuration options to be fed into the generator.
+* @return {string} The full markdown content based on the requested options.
+*/
+function renderDocumentModel(model, options) {
     let md = '';
-    let schema = options.schema;
-    options.searchPath = defaultValue(options.searchPath, ['']);
 
     let mode = enums.styleModeOption.Markdown;
-    if (defined(options.styleMode) && options.styleMode === 'AsciiDoctor') {
-        mode = enums.styleModeOption.AsciiDoctor;
+    if (defined(options.styleMode) && defined(enums.styleModeOption[options.styleMode])) {
+        mode = enums.styleModeOption[options.styleMode];
     }
-    style.setStyleMode(mode);
+    // Each run gets its own style, so that concurrent or consecutive runs with other options don't affect each other.
+    const style = createStyle(mode);
 
     if (defined(options.checkmark)) {
         style.setCheckmark(options.checkmark);
+    } else if (mode === enums.styleModeOption.ReStructuredText) {
+        // HTML entities like the default checkmark aren't supported in reStructuredText.
+        style.setCheckmark('\u2713');
     }
 
     if (defined(options.mustKeyword)) {
         style.setMustKeyword(options.mustKeyword);
     }
 
-    // Verify JSON Schema version
-    const schemaRef = schema.$schema;
-    let resolved = null;
-    if (defined(schemaRef)) {
-        if (schemaRef === 'http://json-schema.org/draft-03/schema') {
-            resolved = schema3.resolve(schema, options.fileName, options.searchPath, options.ignorableTypes, options.debug);
-        }
-        else {
-            resolved = schema4.resolve(schema, options.fileName, options.searchPath, options.ignorableTypes, options.debug);
-            if ((!options.suppressWarnings) &&
-                (schemaRef !== 'http://json-schema.org/draft-04/schema' &&
-                schemaRef !== 'http://json-schema.org/draft-07/schema' &&
-                schemaRef !== 'https://json-schema.org/draft/2020-12/schema')) {
-                md += '> WETZEL_WARNING: Unrecognized JSON Schema.\n\n';
-            }
+    if (!options.suppressWarnings) {
+        for (const warning of model.warnings) {
+            md += style.blockQuote(`WETZEL_WARNING: ${  style.escapeText(warning.message)}`);
         }
     }
 
-    schema = resolved.schema;
-    const orderedTypes = sortObject(resolved.referencedSchemas);
-    for (const title in orderedTypes) {
-        orderedTypes[title].children.sort();
+    // We need the reverse-sorted titles so that when we do type searching we find the longest type first.
+    const knownTypes = {};
+    for (const type of model.types) {
+        knownTypes[type.title] = type;
     }
+    const knownTypesDescending = sortObject(knownTypes, false);
 
-    // We need the reverse-sorted version so that when we do type searching we find the longest type first.
-    const orderedTypesDescending = sortObject(resolved.referencedSchemas, false);
+    if (defined(options.outDir)) {
+        return writeSplitOutput(style, options, model, knownTypesDescending, md);
+    }
 
     if (options.writeTOC) {
-        md += getTableOfContentsMarkdown(schema, orderedTypes, options.headerLevel);
-    }
-
-    const fs = require('fs');
-    md = JSON.stringify(orderedTypes);
-    fs.writeFile(`output/text.md`, md, (err) => {
-        if (err) throw err;
-    })
-    for (const title in orderedTypes) {
-        md = getSchemaMarkdown(
-            orderedTypes[title].schema,
-            orderedTypes[title].fileName,
+        md += getTableOfContentsMarkdown(style, model.toc, options.headerLevel);
+    }
+
+    for (const type of model.types) {
+        md += '\n\n';
+        md += getTypeMarkdown(
+            style,
+            type,
             options.headerLevel + 1,
             options.suppressWarnings,
             options.schemaRelativeBasePath,
-            orderedTypesDescending,
+            knownTypesDescending,
             options.autoLink,
-            options.embedMode);
-
-        if (md !== '')
-        {
-            // determine name of output file
-            let filename = orderedTypes[title].schema.typeName;
-            if (!defined(filename))
-            {
-                filename = orderedTypes[title].schema.title.toLowerCase();
-            }
+            options.embedMode,
+            options.groupInherited);
+    }
+
+    return style.finishDocument(md, model.title, getStylesheet(style, options));
+}
 
-            fs.writeFile(`output/${filename}.md`, md, (err) => {
-                if (err) throw err;
-            })
+/**
+* @function writeSplitOutput
+* Writes one document per type into options.outDir, plus an index document holding the table of contents.
+* Links between types are rewritten so that they target the file of the linked type.
+* The name of the index is reserved: a type whose file name would be taken already, like a type named index,
+* gets a numbered file name like index-2.md instead.
+* @param  {object} style       The style used to format the output.
+* @param  {object} options     The set of configuration options that was fed into the generator.
+* @param  {object} model       The document model.
+* @param  {object} knownTypes  The dictionary of types, reverse-sorted by title for auto-linking.
+* @param  {string} preamble    Any markdown (e.g. warnings) that should be placed at the start of the index.
+* @return {string} The markdown of the index document.
+*/
+function writeSplitOutput(style, options, model, knownTypes, preamble) {
+    const extension = style.getFileExtension();
+
+    // Determine the output file of every type first, so that links can be rewritten before any content is generated.
+    // Types are linked both by their type name and (when auto-linking descriptions) by their title.
+    const indexFile = `index${extension}`;
+    const typeFiles = [];
+    const linkTargets = {};
+    // File names are compared case-insensitively, because they are the same file on some file systems.
+    const usedFiles = {};
+    usedFiles[indexFile.toLowerCase()] = true;
+    for (const type of model.types) {
+        if (type.documented) {
+            const typeName = getTypeName(type);
+            let file = typeName + extension;
+            for (let i = 2; usedFiles[file.toLowerCase()]; ++i) {
+                file = `${typeName}-${i}${extension}`;
+            }
+            usedFiles[file.toLowerCase()] = true;
+            typeFiles.push({ type: type, file: file });
+            linkTargets[type.title] = file;
+            linkTargets[typeName] = file;
         }
     }
+    style.setTypeFiles(linkTargets, options.embedFileName);
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+
+    let index = preamble;
+    if (options.writeTOC) {
+        index += getTableOfContentsMarkdown(style, model.toc, options.headerLevel);
+    }
+    index = style.finishDocument(index, model.title, getStylesheet(style, options));
+    fs.writeFileSync(path.join(options.outDir, indexFile), index);
+
+    for (const typeFile of typeFiles) {
+        const md = getTypeMarkdown(
+            style,
+            typeFile.type,
+            options.headerLevel,
+            options.suppressWarnings,
+            options.schemaRelativeBasePath,
+            knownTypes,
+            options.autoLink,
+            options.embedMode,
+            options.groupInherited);
+
+        fs.writeFileSync(path.join(options.outDir, typeFile.file), style.finishDocument(md, typeFile.type.title, getStylesheet(style, options)));
+    }
+
+    return index;
+}
+
+/**
+* @function getStylesheet
+* Gets the CSS that should be embedded into HTML output.
+* @param  {object} style The style used to format the output.
+* @param  {object} options The set of configuration options that was fed into the generator.
+* @return {string} The CSS from options.stylesheet, the built-in stylesheet if it is true, or undefined.
+*/
+function getStylesheet(style, options) {
+    if (options.stylesheet === true) {
+        return style.defaultStylesheet;
+    }
+    return defaultValue(options.stylesheet, undefined);
+}
 
-    return '';
+/**
+* @function getTypeName
+* Gets the name that identifies a type in anchors and output file names.
+* @param  {object} type The type from the document model.
+* @return {string} The type name inserted by $ref resolution, or a name derived from the title.
+*/
+function getTypeName(type) {
+    let typeName = type.typeName;
+    if (!defined(typeName)) {
+        typeName = type.title.toLowerCase().replace(/ /g, ".");
+    }
+    return typeName;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -104,141 +186,118 @@ function generateMarkdown(options) {
 /**
 * @function getTableOfContentsMarkdown
 * Print a table of contents indicating (and linking to) all of the types that are documented
-* @param  {object} schema       The root schema that the documentation is for.
-* @param  {object} orderedTypes The types for the TOC, as an ordered map from schema.title to objects
-*                               containing the schema, the file name, parent titles and children titles
-* @param  {int} headerLevel     The level that the header for the TOC should be displayed at.
+* @param  {object} style     The style used to format the output.
+* @param  {object[]} toc    The entries of the table of contents from the document model.
+* @param  {int} headerLevel The level that the header for the TOC should be displayed at.
 * @return {string} The markdown for the table of contents.
 */
-function getTableOfContentsMarkdown(schema, orderedTypes, headerLevel) {
-    let md = `${style.getHeaderMarkdown(headerLevel)  } Objects\n`;
-    for (const title in orderedTypes) {
-        // Regardless of what the user chooses for how types are auto-linked, we'll always
-        // link the table-of-contents options.
-        const currentType = orderedTypes[title];
-        if (title === schema.title || currentType.parents.length > 1 || currentType.parents.indexOf(schema.title) !== -1) {
-            let typeName = currentType.schema.typeName;
-            if (!defined(typeName)) {
-                typeName = title.toLowerCase().replace(/ /g, ".");
-            }
-            const item = style.getTOCLink(title, typeName) + (title === schema.title ? ' (root object)' : '');
-            md += style.bulletItem(item);
-            if (title !== schema.title) {
-                md += getRecursiveTOC(orderedTypes, title, 1);
-            }
-        }
-    }
-    return md;
+function getTableOfContentsMarkdown(style, toc, headerLevel) {
+    return style.heading(headerLevel, 'Objects') + getTableOfContentsEntriesMarkdown(style, toc, 0);
 }
 
 /**
-* @function getRecursiveTOC
-* Appends children elements to the table of contents, if and only if the child has a single parent
-* @param  {object} orderedTypes The types for the TOC, as an ordered map from schema.title to objects
-*                               containing the schema, the file name, parent titles and children titles
-* @param  {string} parentTitle    A string that contains the title of the parent object.
-* @param  {int} depth             The number of indentation levels that should be applied.
-* @return {string} The markdown for the table of contents.
+* @function getTableOfContentsEntriesMarkdown
+* Print the entries of the table of contents, and recursively their children
+* @param  {object} style The style used to format the output.
+* @param  {object[]} entries The entries of the table of contents at this level.
+* @param  {int} depth        The number of indentation levels that should be applied.
+* @return {string} The markdown for the table of contents entries.
 */
-function getRecursiveTOC(orderedTypes, parentTitle, depth) {
+function getTableOfContentsEntriesMarkdown(style, entries, depth) {
     let md = '';
-    for (let i = 0; i < orderedTypes[parentTitle].children.length; i++) {
-        const currentTitle = orderedTypes[parentTitle].children[i];
-        if (orderedTypes[currentTitle].parents.length === 1) {
-            const currentType = orderedTypes[currentTitle];
-            let typeName = currentType.schema.typeName;
-            if (!defined(typeName)) {
-                typeName = currentTitle.toLowerCase().replace(/ /g, ".");
-            }
-            const item = style.getTOCLink(currentTitle.replace(`${parentTitle  } `, ""), typeName);
-            md += style.bulletItem(item, depth);
-            md += getRecursiveTOC(orderedTypes, currentTitle, depth + 1);
-        }
+    for (const entry of entries) {
+        // Regardless of what the user chooses for how types are auto-linked, we'll always
+        // link the table-of-contents options.
+        const item = style.getTOCLink(entry.title, entry.typeName) + (entry.root ? ' (root object)' : '');
+        md += style.bulletItem(item, depth);
+        md += getTableOfContentsEntriesMarkdown(style, entry.children, depth + 1);
     }
     return md;
 }
 
 /**
-* @function getSchemaMarkdown
-* Gets the markdown for the first-class elements of a schema.
-* @param  {object} schema                 The schema being converted to markdown.
-* @param  {string} fileName               The filename of the schema being converted to markdown.
+* @function getTypeMarkdown
+* Gets the markdown for the first-class elements of a type.
+* @param  {object} style                  The style used to format the output.
+* @param  {object} type                   The type from the document model being converted to markdown.
 * @param  {int} headerLevel               The starting level for the headers.
 * @param  {boolean} suppressWarnings      Indicates if wetzel warnings should be printed in the documentation.
 * @param  {string} schemaRelativeBasePath The path, relative to where this documentation lives, that the schema files can be found.
 * Leave as null if you don't want the documentation to link to the schema files.
-* @param  {object} knownTypes             The dictionary of types and their schema information.
+* @param  {object} knownTypes             The dictionary of types, reverse-sorted by title.
 * @param  {string} autoLink               Enum value indicating how the auto-linking should be handled.
 * @param  {string} embedMode              Emum value indicating if we are embedding JSON schema include directives.
-* @return {string}                        The markdown for the schema.
+* @param  {boolean} groupInherited        Indicates if inherited properties are summarized in a separate, collapsible table.
+* @return {string}                        The markdown for the type.
 */
-function getSchemaMarkdown(schema, fileName, headerLevel, suppressWarnings, schemaRelativeBasePath, knownTypes, autoLink, embedMode) {
+function getTypeMarkdown(style, type, headerLevel, suppressWarnings, schemaRelativeBasePath, knownTypes, autoLink, embedMode, groupInherited) {
     let md = '';
 
-    if (schema === undefined) {
+    if (!type.documented) {
         return md;
     }
 
     // Render section header
-    md += style.getSectionMarkdown(schema, headerLevel, suppressWarnings, embedMode);
+    md += style.getSectionMarkdown(type, headerLevel, suppressWarnings, embedMode);
 
     // Check if we're generating an abbreviated document with JSON schema include directives.
     if (embedMode === enums.embedMode.writeIncludeStatements) {
-        md += style.embedJsonSchema(fileName, schemaRelativeBasePath);
+        md += style.embedJsonSchema(type.fileName, schemaRelativeBasePath);
         return md;
     }
 
     // Render description
-    let value = autoLinkDescription(schema.description, knownTypes, autoLink);
-    if (defined(value)) {
-        md += `${value  }\n\n`;
-    }
-
-    // TODO: Add plugin point for custom JSON schema properties like gltf_*
-    const extendedDescription = schema.gltf_sectionDescription;
-    if (defined(extendedDescription)) {
-        md += `${autoLinkDescription(extendedDescription, knownTypes, autoLink)  }\n\n`;
+    const description = autoLinkDescription(style, type.description, knownTypes, autoLink);
+    if (defined(description)) {
+        md += style.paragraph(description);
     }
 
-    // Render type
-    const schemaType = schema.type;
-    if (defined(schemaType)) {
-        //      md += styleType('Type') + ': ' + style.typeValue(schemaType) + '\n\n';
+    for (const paragraph of type.paragraphs) {
+        md += style.paragraph(autoLinkDescription(style, paragraph, knownTypes, autoLink));
     }
 
-    // TODO: Add plugin point for custom JSON schema properties like gltf_*
-    const webgl = schema.gltf_webgl;
-    if (defined(webgl)) {
-        md += `${style.propertyGltfWebGL('Related WebGL functions')  }: ${  webgl  }\n\n`;
+    if (type.extends.length > 0 || type.bullets.length > 0) {
+        md += `${getExtendsMarkdown(style, type.extends) + getBulletsMarkdown(style, type.bullets)  }\n`;
     }
 
     // Render each property if the type is object
-    if (schemaType === 'object') {
+    if (type.type === 'object') {
         // Render table with summary of each property
-        md += createPropertiesSummary(schema, knownTypes, autoLink);
+        if (groupInherited) {
+            md += createPropertiesSummary(style, type, type.properties.filter(property => !defined(property.inheritedFrom)), knownTypes, autoLink);
+            md += createInheritedPropertiesSummary(style, type, knownTypes, autoLink);
+        } else {
+            md += createPropertiesSummary(style, type, type.properties, knownTypes, autoLink);
+        }
+        md += createPatternPropertiesTable(style, `${style.typeValue(type.title)  } Property name patterns`, type.patternProperties, knownTypes, autoLink);
+        const propertyNames = getPropertyNamesMarkdown(style, type.propertyNames, 0);
+        if (propertyNames.length > 0) {
+            md += `${propertyNames  }\n`;
+        }
 
-        value = schema.additionalProperties;
-        if (defined(value) && !value) {
-            md += 'Additional properties are not allowed.\n\n';
+        if (!type.additionalProperties) {
+            md += style.paragraph('Additional properties are not allowed.');
         } else {
-            md += 'Additional properties are allowed.\n\n';
+            md += style.paragraph('Additional properties are allowed.');
             // TODO: display their schema
         }
 
+        md += getConditionsMarkdown(style, type.conditions);
+
         // Schema reference
         if (embedMode === enums.embedMode.referenceIncludeDocument) {
-            md += `${style.bulletItem(`${style.bold('JSON schema')  }: ${  style.getSchemaEmbedLink(fileName, schema)}`)  }\n`;
+            md += `${style.bulletItem(`${style.bold('JSON schema')  }: ${  style.getSchemaEmbedLink(type.fileName, type)}`)  }\n`;
         } else if (defined(schemaRelativeBasePath)) {
             if (!schemaRelativeBasePath.endsWith('/')) {
                 schemaRelativeBasePath += '/';
             }
-            md += `${style.bulletItem(`${style.bold('JSON schema')  }: ${  style.getLinkMarkdown(fileName, schemaRelativeBasePath.replace(/\\/g, '/') + fileName)}`)  }\n`;
+            md += `${style.bulletItem(`${style.bold('JSON schema')  }: ${  style.getLinkMarkdown(type.fileName, schemaRelativeBasePath.replace(/\\/g, '/') + type.fileName)}`)  }\n`;
         }
 
         // Render section for each property
-        const title = defaultValue(schema.title, suppressWarnings ? '' : 'WETZEL_WARNING: title not defined');
-        md += createPropertiesDetails(schema, title, headerLevel + 1, knownTypes, autoLink);
-        md += createExamples(schema, headerLevel);
+        const title = defaultValue(type.title, suppressWarnings ? '' : 'WETZEL_WARNING: title not defined');
+        md += createPropertiesDetails(style, type, title, headerLevel + 1, knownTypes, autoLink);
+        md += createExamples(style, type, headerLevel);
     }
 
     return md;
@@ -246,25 +305,54 @@ function getSchemaMarkdown(schema, fileName, headerLevel, suppressWarnings, sche
 
 ////////////////////////////////////////////////////////////////////////////////
 
-function createPropertiesSummary(schema, knownTypes, autoLink) {
+function createPropertiesSummary(style, type, properties, knownTypes, autoLink) {
+    return createPropertiesTable(style, `${style.typeValue(type.title)  } Properties`, properties, knownTypes, autoLink);
+}
+
+/**
+* @function createInheritedPropertiesSummary
+* Summarizes the properties that a type inherited in a collapsible section, with one table per type that declared them.
+* @param  {object} style      The style used to format the output.
+* @param  {object} type       The type from the document model.
+* @param  {object} knownTypes The dictionary of types, reverse-sorted by title.
+* @param  {string} autoLink   Enum value indicating how the auto-linking should be handled.
+* @return {string} The markdown for the inherited properties, or an empty string if there are none.
+*/
+function createInheritedPropertiesSummary(style, type, knownTypes, autoLink) {
+    const inherited = type.properties.filter(property => defined(property.inheritedFrom));
+    if (inherited.length === 0) {
+        return '';
+    }
+
+    const baseTitles = [];
+    for (const property of inherited) {
+        if (baseTitles.indexOf(property.inheritedFrom.title) === -1) {
+            baseTitles.push(property.inheritedFrom.title);
+        }
+    }
+
+    let md = style.beginCollapsible('Inherited properties');
+    for (const baseTitle of baseTitles) {
+        const properties = inherited.filter(property => property.inheritedFrom.title === baseTitle);
+        md += createPropertiesTable(style, `Properties inherited from ${  style.typeValue(baseTitle)}`, properties, knownTypes, autoLink);
+    }
+    md += style.endCollapsible();
+    return md;
+}
+
+function createPropertiesTable(style, title, properties, knownTypes, autoLink) {
     let md = '';
 
-    if (schema.properties !== undefined && Object.keys(schema.properties).length > 0) {
-        md += style.beginTable(['Property', 'Type', 'Description', 'Required']);
-
-        const properties = schema.properties;
-        for (const name in properties) {
-            if (properties.hasOwnProperty(name)) {
-                const property = properties[name];
-                const summary = getPropertySummary(property, knownTypes, autoLink);
-
-                md += style.addTableRow([
-                    style.propertyNameSummary(name),
-                    summary.formattedType,
-                    defaultValue(summary.description, ''),
-                    (summary.required === 'Yes' ? style.requiredIcon : '') + summary.required
-                ]);
-            }
+    if (properties.length > 0) {
+        md += style.beginTable(title, ['   ', 'Type', 'Description', 'Required']);
+
+        for (const property of properties) {
+            md += style.addTableRow([
+                style.propertyNameSummary(style.escapeText(property.name)),
+                getFormattedType(style, property, autoLink, true),
+                defaultValue(autoLinkDescription(style, property.description, knownTypes, autoLink), ''),
+                getRequiredString(style, property)
+            ]);
         }
 
         md += style.endTable();
@@ -273,391 +361,504 @@ function createPropertiesSummary(schema, knownTypes, autoLink) {
     return md;
 }
 
-function createExamples(schema, headerLevel) {
-    const examples = schema.examples;
+/**
+* @function createPatternPropertiesTable
+* Creates the table of the properties whose names match a pattern, with the regular expression,
+* the type, the description and the constraints of each of them.
+* @param  {object} style              The style used to format the output.
+* @param  {string} title              The title of the table.
+* @param  {object[]} patternProperties The pattern properties from the document model, each with the pattern as its name.
+* @param  {object} knownTypes         The dictionary of types, reverse-sorted by title.
+* @param  {string} autoLink           Enum value indicating how the auto-linking should be handled.
+* @return {string} The markdown for the table, or an empty string if there are no pattern properties.
+*/
+function createPatternPropertiesTable(style, title, patternProperties, knownTypes, autoLink) {
+    if (patternProperties.length === 0) {
+        return '';
+    }
+
+    let md = style.beginTable(title, ['Pattern', 'Type', 'Description', 'Constraints']);
+    for (const property of patternProperties) {
+        md += style.addTableRow([
+            style.tableCell(style.typeValue(property.name)),
+            getFormattedType(style, property, autoLink, true),
+            defaultValue(autoLinkDescription(style, property.description, knownTypes, autoLink), ''),
+            style.tableCell(getConstraintsSummary(style, property))
+        ]);
+    }
+    md += style.endTable();
+    return md;
+}
+
+function createExamples(style, type, headerLevel) {
+    const examples = type.examples;
     if (!defined(examples)) {return '';}
-    let md = `${style.getHeaderMarkdown(headerLevel)  } Examples` + `\n\n`;
+    let md = `${style.heading(headerLevel, 'Examples')  }\n`;
     for (const example of examples) {
-        md += style.bulletItem(style.defaultValue(example, schema.type), 0);
+        md += style.bulletItem(style.defaultValue(example, type.type), 0);
     }
     return md;
 }
 
-function createPropertiesDetails(schema, title, headerLevel, knownTypes, autoLink) {
-    const headerMd = style.getHeaderMarkdown(headerLevel);
-    let md = '## Properties\n';
+function createPropertiesDetails(style, type, title, headerLevel, knownTypes, autoLink) {
+    let md = '';
 
-    const properties = schema.properties;
-    for (const name in properties) {
-        if (properties.hasOwnProperty(name)) {
-            const property = properties[name];
-            const summary = getPropertySummary(property, knownTypes, autoLink);
-            const type = summary.type;
+    let variableTitle = type.typeName;
+    if (!defined(variableTitle)) {
+        variableTitle = title;
+    }
 
-            let variableTitle = schema.typeName;
-            if (!defined(variableTitle)) {
-                variableTitle = title;
-            }
+    for (const property of type.properties) {
+        md += `${style.heading(headerLevel, style.escapeText(`${variableTitle  }.${  property.name}`))  }\n`;
 
-            md += `${headerMd  } ${  name  }\n\n`;
+        const description = autoLinkDescription(style, defaultValue(property.detailedDescription, property.description), knownTypes, autoLink);
+        if (defined(description)) {
+            md += style.paragraph(description);
+        }
 
-            // TODO: Add plugin point for custom JSON schema properties like gltf_*
-            const detailedDescription = autoLinkDescription(property.gltf_detailedDescription, knownTypes, autoLink);
-            if (defined(detailedDescription)) {
-                md += `${detailedDescription  }\n\n`;
-            } else if (defined(summary.description)) {
-                md += `${summary.description  }\n\n`;
-            }
+        md += style.bulletItem(`${style.propertyDetails('Type')  }: ${  getFormattedType(style, property, autoLink)}`, 0);
 
-            md += style.bulletItem(`${style.propertyDetails('Type')  }: ${  summary.formattedType}`, 0);
+        const eachElementInTheArrayMust = `Each element in the array${  style.mustKeyword}`;
 
-            const eachElementInTheArrayMust = `Each element in the array${  style.mustKeyword}`;
+        if (property.uniqueItems) {
+            md += style.bulletItem(`${eachElementInTheArrayMust  }be unique.`, 1);
+        }
 
-            const uniqueItems = property.uniqueItems;
-            if (defined(uniqueItems) && uniqueItems) {
-                md += style.bulletItem(`${eachElementInTheArrayMust  }be unique.`, 1);
+        // TODO: items is a full schema
+        const items = property.items;
+        if (defined(items)) {
+            const minString = (defined(items.minimum) && items.minimum.exclusive) ? 'greater than' : 'greater than or equal to';
+            const maxString = (defined(items.maximum) && items.maximum.exclusive) ? 'less than' : 'less than or equal to';
+
+            if (defined(items.minimum) && defined(items.maximum)) {
+                md += style.bulletItem(`${eachElementInTheArrayMust  }be ${  minString  } ${
+                    style.minMax(items.minimum.value)  } and ${  maxString  } ${  style.minMax(items.maximum.value)  }.`, 1);
+            } else if (defined(items.minimum)) {
+                md += style.bulletItem(`${eachElementInTheArrayMust  }be ${  minString  } ${  style.minMax(items.minimum.value)  }.`, 1);
+            } else if (defined(items.maximum)) {
+                md += style.bulletItem(`${eachElementInTheArrayMust  }be ${  maxString  } ${  style.minMax(items.maximum.value)  }.`, 1);
             }
 
-            // TODO: items is a full schema
-            const items = property.items;
-            if (defined(items)) {
-                // Downgrade newer schemas
-                if (defined(items.exclusiveMinimum) && typeof items.exclusiveMinimum === 'number')
-                {
-                    items.minimum = items.exclusiveMinimum;
-                    items.exclusiveMinimum = true;
-                }
-                if (defined(items.exclusiveMaximum) && typeof items.exclusiveMaximum === 'number')
-                {
-                    items.maximum = items.exclusiveMaximum;
-                    items.exclusiveMaximum = true;
-                }
-
-                const itemsExclusiveMinimum = (defined(items.exclusiveMinimum) && items.exclusiveMinimum);
-                const minString = itemsExclusiveMinimum ? 'greater than' : 'greater than or equal to';
-
-                const itemsExclusiveMaximum = (defined(items.exclusiveMaximum) && items.exclusiveMaximum);
-                const maxString = itemsExclusiveMaximum ? 'less than' : 'less than or equal to';
-
-                if (defined(items.minimum) && defined(items.maximum)) {
-                    md += style.bulletItem(`${eachElementInTheArrayMust  }be ${  minString  } ${ 
-                        style.minMax(items.minimum)  } and ${  maxString  } ${  style.minMax(items.maximum)  }.`, 1);
-                } else if (defined(items.minimum)) {
-                    md += style.bulletItem(`${eachElementInTheArrayMust  }be ${  minString  } ${  style.minMax(items.minimum)  }.`, 1);
-                } else if (defined(items.maximum)) {
-                    md += style.bulletItem(`${eachElementInTheArrayMust  }be ${  maxString  } ${  style.minMax(items.maximum)  }.`, 1);
-                }
+            if (defined(items.minLength) && defined(items.maxLength)) {
+                md += style.bulletItem(`${eachElementInTheArrayMust  }have length between ${  style.minMax(items.minLength)
+                    } and ${  style.minMax(items.maxLength)  }.`, 1);
+            } else if (defined(items.minLength)) {
+                md += style.bulletItem(`${eachElementInTheArrayMust  }have length greater than or equal to ${  style.minMax(items.minLength)  }.`, 1);
+            } else if (defined(items.maxLength)) {
+                md += style.bulletItem(`${eachElementInTheArrayMust  }have length less than or equal to ${  style.minMax(items.maxLength)  }.`, 1);
+            }
 
-                if (defined(items.minLength) && defined(items.maxLength)) {
-                    md += style.bulletItem(`${eachElementInTheArrayMust  }have length between ${  style.minMax(items.minLength) 
-                        } and ${  style.minMax(items.maxLength)  }.`, 1);
-                } else if (defined(items.minLength)) {
-                    md += style.bulletItem(`${eachElementInTheArrayMust  }have length greater than or equal to ${  style.minMax(items.minLength)  }.`, 1);
-                } else if (defined(items.maxLength)) {
-                    md += style.bulletItem(`${eachElementInTheArrayMust  }have length less than or equal to ${  style.minMax(items.maxLength)  }.`, 1);
-                }
+            if (defined(items.enum)) {
+                md += style.bulletItem(`${eachElementInTheArrayMust  }be one of the following values:`, 1) + getEnumString(style, items.enum, property.type, 2);
+            }
+        }
 
-                const itemsString = getEnumString(items, type, 2);
-                if (defined(itemsString)) {
-                    md += style.bulletItem(`${eachElementInTheArrayMust  }be one of the following values:`, 1) + itemsString;
-                }
+        md += style.bulletItem(`${style.propertyDetails('Required')  }: ${  getRequiredString(style, property)}`, 0);
+        if (!property.required) {
+            for (const condition of defaultValue(property.requiredWhen, [])) {
+                md += style.bulletItem(`Required ${  condition.negated ? 'unless' : 'when'  } ${  getClausesMarkdown(style, condition.clauses)  }.`, 1);
             }
+        }
 
-            md += style.bulletItem(`${style.propertyDetails('Required')  }: ${  summary.required}`, 0);
+        md += getConstraintsMarkdown(style, property, 0);
 
-            if (defined(property.exclusiveMinimum) && typeof property.exclusiveMinimum === 'number')
-            {
-                md += style.bulletItem(`${style.propertyDetails('Minimum')  }: ${  style.minMax(` > ${  property.exclusiveMinimum}`)}`, 0);
-            } else {
-                const minimum = property.minimum;
-                if (defined(minimum)) {
-                    const exclusiveMinimum = (defined(property.exclusiveMinimum) && property.exclusiveMinimum);
-                    md += style.bulletItem(`${style.propertyDetails('Minimum')  }: ${  style.minMax((exclusiveMinimum ? ' > ' : ' >= ') + minimum)}`, 0);
-                }
-            }
+        if (defined(property.variants)) {
+            md += style.bulletItem(`${style.propertyDetails('One of the following')  }:`, 0) + getVariantsMarkdown(style, property.variants, knownTypes, autoLink);
+        }
 
-            if (defined(property.exclusiveMaximum) && typeof property.exclusiveMaximum === 'number')
-            {
-                md += style.bulletItem(`${style.propertyDetails('Maximum')  }: ${  style.minMax(` < ${  property.exclusiveMaximum}`)}`, 0);
+        const additionalProperties = property.additionalProperties;
+        if (defined(additionalProperties)) {
+            // If additional properties can be multiple specific types, print them.
+            if (defined(additionalProperties.anyOf)) {
+                md += style.bulletItem(`${style.propertyDetails('Property types allowed')  }:`, 0);
+                for (const propTypeName of additionalProperties.anyOf) {
+                    md += style.bulletItem(`${style.escapeText(propTypeName)}`, 1);
+                }
             } else {
-                const maximum = property.maximum;
-                if (defined(maximum)) {
-                    const exclusiveMaximum = (defined(property.exclusiveMaximum) && property.exclusiveMaximum);
-                    md += style.bulletItem(`${style.propertyDetails('Maximum')  }: ${  style.minMax((exclusiveMaximum ? ' < ' : ' <= ') + maximum)}`, 0);
+                let formattedType = style.typeValue(additionalProperties.type);
+                if (defined(additionalProperties.link)) {
+                    formattedType = style.linkType(additionalProperties.link, additionalProperties.link, autoLink);
                 }
-            }
-
-            const format = property.format;
-            if (defined(format)) {
-                md += style.bulletItem(`${style.propertyDetails('Format')  }: ${  format}`, 0);
-            }
 
-            const pattern = property.pattern;
-            if (defined(pattern)) {
-                md += style.bulletItem(`${style.propertyDetails('Pattern')  }: ${  style.minMax(pattern)}`, 0);
-            }
-
-            const minLength = property.minLength;
-            if (defined(minLength)) {
-                md += style.bulletItem(style.propertyDetails('Minimum Length') + style.minMax(`: >= ${  minLength}`), 0);
+                md += style.bulletItem(`${style.propertyDetails('Type of each property')  }: ${  formattedType}`, 0);
             }
+        }
 
-            const maxLength = property.maxLength;
-            if (defined(maxLength)) {
-                md += style.bulletItem(style.propertyDetails('Maximum Length') + style.minMax(`: <= ${  maxLength}`), 0);
-            }
+        md += getPropertyNamesMarkdown(style, property.propertyNames, 0);
 
-            const enumString = getEnumString(property, type, 1);
-            if (defined(enumString)) {
-                md += style.bulletItem(`${style.propertyDetails('Allowed values')  }:`, 0) + enumString;
+        const examples = property.examples;
+        if (defined(examples)) {
+            md += style.bulletItem(`${style.propertyDetails('Examples')  }:`);
+            for (const example of examples) {
+                md += style.bulletItem(style.defaultValue(example, property.type), 1);
             }
+        }
 
-            const additionalProperties = property.additionalProperties;
-            if (defined(additionalProperties) && (typeof additionalProperties === 'object')) {
-                // If additional properties can be multiple specific types, print them.
-                if (defined(additionalProperties.anyOf))
-                {
-                    md += style.bulletItem(`${style.propertyDetails('Property types allowed')  }:`, 0);
-                    for (const propType of additionalProperties.anyOf) {
-                        const propTypeName = getPropertyType(propType);
-                        if (defined(propTypeName))
-                        {
-                            md += style.bulletItem(`${propTypeName}`, 1);
-                        }
-                    }
-                }
-                else
-                {
-                    const additionalPropertiesType = getPropertyType(additionalProperties);
-                    if (defined(additionalPropertiesType)) {
-                        // TODO: additionalProperties is really a full schema
-                        let formattedType = style.typeValue(additionalPropertiesType);
-                        if ((additionalProperties.type === 'object') && defined(property.title)) {
-                            formattedType = style.linkType(property.title, property.title, autoLink);
-                        }
-    
-                        md += style.bulletItem(`${style.propertyDetails('Type of each property')  }: ${  formattedType}`, 0);
-                    }
-                }
-            }
+        if (defined(property.inheritedFrom)) {
+            md += style.bulletItem(`${style.propertyDetails('Inherited from')  }: ${  getTypeReferenceMarkdown(style, property.inheritedFrom)}`, 0);
+        }
 
-            const examples = property.examples;
-            if (defined(examples)) {
-                md += style.bulletItem(`${style.propertyDetails('Examples')  }:`);
-                for (const example of examples) {
-                    md += style.bulletItem(style.defaultValue(example, type), 1);
-                }
-            }
+        md += getBulletsMarkdown(style, property.bullets);
 
-            // TODO: Add plugin point for custom JSON schema properties like gltf_*
-            const webgl = property.gltf_webgl;
-            if (defined(webgl)) {
-                md += style.bulletItem(`${style.propertyGltfWebGL('Related WebGL functions')  }: ${  webgl}`, 0);
-            }
+        md += '\n';
 
-            md += '\n';
-        }
+        const patternTitle = `${style.typeValue(`${variableTitle  }.${  property.name}`)  } Property name patterns`;
+        md += createPatternPropertiesTable(style, patternTitle, defaultValue(property.patternProperties, []), knownTypes, autoLink);
     }
     md += '\n';
 
     return md;
 }
 
-function getPropertySummary(property, knownTypes, autoLink) {
-    let type = defaultValue(getPropertyType(property), 'any');
-    let formattedType = style.linkType(style.typeValue(type), type, autoLink);
-
-    if (type === 'array') {
-        let insideBrackets = '';
-        if ((defined(property.minItems)) && (property.minItems === property.maxItems)) {
-            // Min and max are the same so the array is constant size
-            insideBrackets = property.minItems;
-        } else if (defined(property.minItems) && defined(property.maxItems)) {
-            // Min and max define a range
-            insideBrackets = `${property.minItems  }-${  property.maxItems}`;
-        } else if (defined(property.minItems)) {
-            // Only min is defined
-            insideBrackets = `${property.minItems  }-*`;
-        } else if (defined(property.maxItems)) {
-            // Only max is defined
-            insideBrackets = `*-${  property.maxItems}`;
-        }
+/**
+* @function getConstraintsMarkdown
+* Gets the markdown for the bullets that describe the constraints of a property or of one of its variants,
+* like its minimum, maximum, format, pattern, length and enum values.
+* @param  {object} style    The style used to format the output.
+* @param  {object} property The property (or variant) from the document model.
+* @param  {int} depth       The indentation level of the bullets.
+* @return {string} The markdown for the bullets.
+*/
+function getConstraintsMarkdown(style, property, depth) {
+    let md = '';
 
-        const arrayInfo = `[${  insideBrackets  }]`;
+    const minimum = property.minimum;
+    if (defined(minimum)) {
+        md += style.bulletItem(`${style.propertyDetails('Minimum')  }: ${  style.minMax((minimum.exclusive ? ' > ' : ' >= ') + minimum.value)}`, depth);
+    }
 
-        if (defined(property.items) && defined(property.items.type)) {
-            if ((property.items.type === 'object')) {
-                type = getPropertyType(property.items);
-                formattedType = `${style.linkType(style.typeValue(type), type, autoLink)  }`;
+    const maximum = property.maximum;
+    if (defined(maximum)) {
+        md += style.bulletItem(`${style.propertyDetails('Maximum')  }: ${  style.minMax((maximum.exclusive ? ' < ' : ' <= ') + maximum.value)}`, depth);
+    }
 
-                type += arrayInfo;
-                formattedType = style.typeValue(type);
-            } else {
-                type = property.items.type;
-                formattedType = `${style.linkType(style.typeValue(type), type, autoLink)  }`;
+    const format = property.format;
+    if (defined(format)) {
+        md += style.bulletItem(`${style.propertyDetails('Format')  }: ${  style.escapeText(format)}`, depth);
+    }
 
-                type += arrayInfo;
-                formattedType = style.typeValue(type);
-            }
-        } else {
-            type += arrayInfo;
-            formattedType = style.typeValue(type);
-        }
+    const pattern = property.pattern;
+    if (defined(pattern)) {
+        md += style.bulletItem(`${style.propertyDetails('Pattern')  }: ${  style.minMax(pattern)}`, depth);
     }
 
-    const description = autoLinkDescription(property.description, knownTypes, autoLink);
+    const minLength = property.minLength;
+    if (defined(minLength)) {
+        md += style.bulletItem(style.propertyDetails('Minimum Length') + style.minMax(`: >= ${  minLength}`), depth);
+    }
 
-    let required;
-    if (defined(property.required) && (property.required)) {
-        required = `${style.requiredIcon  }Yes`;
-    } else {
-        const propertyDefault = property.default;
-        if (defined(propertyDefault)) {
-            let defaultString;
-            if (Array.isArray(propertyDefault)) {
-                defaultString = `[${  propertyDefault.toString()  }]`;
-            } else if (typeof propertyDefault === 'object') {
-                defaultString = JSON.stringify(propertyDefault);
-            } else {
-                defaultString = propertyDefault;
-            }
+    const maxLength = property.maxLength;
+    if (defined(maxLength)) {
+        md += style.bulletItem(style.propertyDetails('Maximum Length') + style.minMax(`: <= ${  maxLength}`), depth);
+    }
 
-            required = `No, default: ${  style.defaultValue(defaultString, type)}`;
-        } else {
-            required = 'No';
-        }
+    if (defined(property.enum)) {
+        md += style.bulletItem(`${style.propertyDetails('Allowed values')  }:`, depth) + getEnumString(style, property.enum, property.type, depth + 1);
     }
 
-    return {
-        type: type,
-        formattedType: formattedType,
-        description: description,
-        required: required
-    };
+    return md;
 }
 
 /**
- * @function getEnumString
- * Gets the string describing the possible enum values.
- * Will try getting the information from the enum/gltf_enumNames properties, but if they don't exist,
- * it will fall back to trying to get the values from the anyOf object.
- * @param  {object} schema The schema object that may be of an enum type.
- * @param  {string} type The name of the object type for the enum values (e.g. string, integer, etc..)
- * @param  {integer} depth How deep the bullet points for enum values should be.  Maximum is 2.
- * @return {string} A string that enumerates all the possible enum values for this schema object.
- */
-function getEnumString(schema, type, depth) {
-    const propertyEnum = schema['enum'];
-    if (!defined(propertyEnum)) {
-        // It's possible that the enum value is defined using the anyOf construct instead.
-        return getAnyOfEnumString(schema, type, depth);
+* @function getConstraintsSummary
+* Gets the constraints of a property in a single line, for a table. These are the same as
+* the bullets of getConstraintsMarkdown, separated by semicolons.
+* @param  {object} style    The style used to format the output.
+* @param  {object} property The property from the document model.
+* @return {string} The constraints, or an empty string if there are none.
+*/
+function getConstraintsSummary(style, property) {
+    const constraints = [];
+    if (defined(property.minimum)) {
+        constraints.push(`Minimum: ${  style.minMax((property.minimum.exclusive ? ' > ' : ' >= ') + property.minimum.value)}`);
+    }
+    if (defined(property.maximum)) {
+        constraints.push(`Maximum: ${  style.minMax((property.maximum.exclusive ? ' < ' : ' <= ') + property.maximum.value)}`);
+    }
+    if (defined(property.format)) {
+        constraints.push(`Format: ${  style.escapeText(property.format)}`);
+    }
+    if (defined(property.pattern)) {
+        constraints.push(`Pattern: ${  style.minMax(property.pattern)}`);
     }
+    if (defined(property.minLength)) {
+        constraints.push(`Minimum Length: ${  style.minMax(`>= ${  property.minLength}`)}`);
+    }
+    if (defined(property.maxLength)) {
+        constraints.push(`Maximum Length: ${  style.minMax(`<= ${  property.maxLength}`)}`);
+    }
+    if (defined(property.enum)) {
+        constraints.push(`Allowed values: ${  property.enum.map(value => style.enumElement(value.value, property.type)).join(', ')}`);
+    }
+    return constraints.join('; ');
+}
 
-    const propertyEnumNames = schema['gltf_enumNames'];
+/**
+* @function getPropertyNamesMarkdown
+* Gets the markdown for the bullet that lists the restrictions that all property names of a type or property must meet.
+* @param  {object} style         The style used to format the output.
+* @param  {object} propertyNames The propertyNames from the document model, or undefined.
+* @param  {int} depth            The indentation level of the bullet.
+* @return {string} The markdown for the bullet, or an empty string if the names are not restricted.
+*/
+function getPropertyNamesMarkdown(style, propertyNames, depth) {
+    if (!defined(propertyNames)) {
+        return '';
+    }
+    return style.bulletItem(`${style.propertyDetails('Property names')  }:`, depth) + getConstraintsMarkdown(style, propertyNames, depth + 1);
+}
 
-    let allowedValues = '';
-    const length = propertyEnum.length;
-    for (let i = 0; i < length; ++i) {
-        let element = style.enumElement(propertyEnum[i], type);
-        if (defined(propertyEnumNames)) {
-            element += ` ${  propertyEnumNames[i]}`;
+/**
+* @function getVariantsMarkdown
+* Gets the markdown for the variants of a polymorphic property, one bullet per variant with its type, linking
+* to the documentation of the type where appropriate, its description, and its constraints as nested bullets.
+* @param  {object} style      The style used to format the output.
+* @param  {object[]} variants The variants of the property from the document model.
+* @param  {object} knownTypes The dictionary of types, reverse-sorted by title.
+* @param  {string} autoLink   Enum value indicating how the auto-linking should be handled.
+* @return {string} The markdown for the variants.
+*/
+function getVariantsMarkdown(style, variants, knownTypes, autoLink) {
+    let md = '';
+    for (const variant of variants) {
+        let item = getFormattedType(style, variant, autoLink);
+        const description = autoLinkDescription(style, variant.description, knownTypes, autoLink);
+        if (defined(description)) {
+            item += `: ${  description}`;
         }
-
-        allowedValues += style.bulletItem(element, depth);
+        md += style.bulletItem(item, 1) + getConstraintsMarkdown(style, variant, 2);
     }
-    return allowedValues;
+    return md;
 }
 
 /**
- * @function getAnyOfEnumString
- * Gets the string describing the possible enum values, if they are defined within a JSON anyOf object.
- * @param  {object} schema The schema object that may be of an enum type.
- * @param  {string} type The name of the object type for the enum values (e.g. string, integer, etc..)
- * @param  {integer} depth How deep the bullet points for enum values should be.  Maximum is 2.
- * @return {string} A string that enumerates all the possible enum values for this schema object.
- */
-function getAnyOfEnumString(schema, type, depth) {
-    const propertyAnyOf = schema['anyOf'];
-    if (!defined(propertyAnyOf)) {
-        return undefined;
+* @function getConditionsMarkdown
+* Gets the markdown for the bullet that lists the properties that a type only requires, and the constraints that only apply,
+* in some cases, with one sentence per condition, like "When `type` is `"perspective"`, `perspective` is required."
+* @param  {object} style        The style used to format the output.
+* @param  {object[]} conditions The conditions of the type from the document model.
+* @return {string} The markdown for the bullet, or an empty string if the type has no conditions.
+*/
+function getConditionsMarkdown(style, conditions) {
+    if (conditions.length === 0) {
+        return '';
+    }
+    let md = style.bulletItem(`${style.propertyDetails('Conditions')  }:`, 0);
+    for (const condition of conditions) {
+        const parts = [];
+        if (condition.required.length > 0) {
+            const names = condition.required.map(name => style.typeValue(name));
+            parts.push(`${joinWithAnd(names)  } ${  (names.length === 1) ? 'is' : 'are'  } required`);
+        }
+        for (const constraint of defaultValue(condition.constraints, [])) {
+            parts.push(getConditionConstraintMarkdown(style, constraint));
+        }
+        md += style.bulletItem(`${condition.negated ? 'Unless' : 'When'  } ${  getClausesMarkdown(style, condition.clauses)  }, ${  parts.join('; ')  }.`, 1);
     }
+    return `${md  }\n`;
+}
 
-    let allowedValues = '';
-    const length = propertyAnyOf.length;
-    for (let i = 0; i < length; ++i) {
-        const element = propertyAnyOf[i];
-        const constValue = element['const'];
-        const enumValue = element['enum'];
-        const enumDescription = element['description'];
-        let enumString;
-
-        // Check if 'const' has been used in place of 'enum'.
-        if (defined(constValue)) {
-            enumString = style.enumElement(constValue, type);
-            if (defined(enumDescription)) {
-                enumString += ` ${  enumDescription}`;
-            }
+/**
+* @function getConditionConstraintMarkdown
+* Gets the markdown for the constraints that a condition adds to a property, like "`size` is at least `1`".
+* @param  {object} style      The style used to format the output.
+* @param  {object} constraint The constraint from the document model.
+* @return {string} The markdown for the constraints.
+*/
+function getConditionConstraintMarkdown(style, constraint) {
+    const phrases = [];
+    if (defined(constraint.type)) {
+        phrases.push(`has the type ${  style.typeValue([].concat(constraint.type).join(' | '))}`);
+    }
+    if (defined(constraint.values)) {
+        phrases.push(`is ${  getValuesMarkdown(style, constraint.values)}`);
+    }
+    if (defined(constraint.minimum)) {
+        phrases.push(`is ${  constraint.minimum.exclusive ? 'greater than' : 'at least'  } ${  style.typeValue(constraint.minimum.value)}`);
+    }
+    if (defined(constraint.maximum)) {
+        phrases.push(`is ${  constraint.maximum.exclusive ? 'less than' : 'at most'  } ${  style.typeValue(constraint.maximum.value)}`);
+    }
+    const counts = [
+        [constraint.minLength, 'at least', 'characters'],
+        [constraint.maxLength, 'at most', 'characters'],
+        [constraint.minItems, 'at least', 'items'],
+        [constraint.maxItems, 'at most', 'items']
+    ];
+    for (const count of counts) {
+        if (defined(count[0])) {
+            phrases.push(`has ${  count[1]  } ${  style.typeValue(count[0])  } ${  count[2]}`);
         }
-        else {
-            // The likely scenario when there's no enum value is that it's the object
-            // containing the _type_ of the enum.  Otherwise, it should be an array with
-            // a single value in it.
-            if (!defined(enumValue) || !Array.isArray(enumValue) || enumValue.length === 0) {
-                continue;
-            }
+    }
+    if (defined(constraint.pattern)) {
+        phrases.push(`matches the pattern ${  style.typeValue(constraint.pattern)}`);
+    }
+    if (defined(constraint.format)) {
+        phrases.push(`has the format ${  style.typeValue(constraint.format)}`);
+    }
+    return `${style.typeValue(constraint.property)  } ${  joinWithAnd(phrases)}`;
+}
 
-            enumString = style.enumElement(enumValue[0], type);
-            if (defined(enumDescription)) {
-                enumString += ` ${  enumDescription}`;
-            }
+/**
+* @function joinWithAnd
+* Joins the items of a list like "a, b and c".
+* @param  {string[]} items The items, which are not empty.
+* @return {string} The joined items.
+*/
+function joinWithAnd(items) {
+    return (items.length === 1) ? items[0] : `${items.slice(0, -1).join(', ')  } and ${  items[items.length - 1]}`;
+}
+
+/**
+* @function getValuesMarkdown
+* Gets the markdown for the values that something may have, like "`"a"`, `"b"` or `"c"`".
+* @param  {object} style    The style used to format the output.
+* @param  {object[]} values The values, which are not empty.
+* @return {string} The markdown for the values.
+*/
+function getValuesMarkdown(style, values) {
+    const markdown = values.map(value => style.typeValue(JSON.stringify(value)));
+    return (markdown.length === 1) ? markdown[0] : `${markdown.slice(0, -1).join(', ')  } or ${  markdown[markdown.length - 1]}`;
+}
+
+/**
+* @function getClausesMarkdown
+* Gets the markdown for the clauses of a condition, like "`type` is `"perspective"` and `name` is defined".
+* @param  {object} style     The style used to format the output.
+* @param  {object[]} clauses The clauses of the condition from the document model.
+* @return {string} The markdown for the clauses.
+*/
+function getClausesMarkdown(style, clauses) {
+    if (clauses.length === 0) {
+        return `the ${  style.typeValue('if')  } schema is met`;
+    }
+    return clauses.map(clause => {
+        const property = style.typeValue(clause.property);
+        if (defined(clause.values)) {
+            return `${property  } is ${  getValuesMarkdown(style, clause.values)}`;
         }
+        return clause.present ? `${property  } is defined` : `${property  } meets the ${  style.typeValue('if')  } schema`;
+    }).join(' and ');
+}
 
-        allowedValues += style.bulletItem(enumString, depth);
+/**
+* @function getExtendsMarkdown
+* Gets the markdown for the bullet that lists the types that a type extends.
+* @param  {object} style       The style used to format the output.
+* @param  {object[]} baseTypes The types from the document model that the type extends, each with a title and an optional typeName.
+* @return {string} The markdown for the bullet, or an empty string if the type extends no types.
+*/
+function getExtendsMarkdown(style, baseTypes) {
+    if (baseTypes.length === 0) {
+        return '';
     }
+    return style.bulletItem(`${style.propertyDetails('Extends')  }: ${  baseTypes.map(baseType => getTypeReferenceMarkdown(style, baseType)).join(', ')}`, 0);
+}
 
-    return allowedValues;
+/**
+* @function getTypeReferenceMarkdown
+* Gets the markdown for the name of a base type, linking to its documentation if it is documented.
+* Ignorable types are not documented, so their names are not linked.
+* @param  {object} style     The style used to format the output.
+* @param  {object} reference The type from the document model, with a title and an optional typeName.
+* @return {string} The markdown for the name of the type.
+*/
+function getTypeReferenceMarkdown(style, reference) {
+    if (defined(reference.typeName)) {
+        return style.getTOCLink(reference.title, reference.typeName);
+    }
+    return style.typeValue(reference.title);
 }
 
 /**
- * @function getPropertyType
- * Determines the type of of a property, taking into account that it
- * might be defined within an anyOf property for enum values.
- * @param  {object} schema The schema object that may be of an enum type.
- * @return {string} The type of the enum
- */
-function getPropertyType(schema) {
+* @function getBulletsMarkdown
+* Gets the markdown for the bullets that plugins contributed to a type or property.
+* @param  {object} style     The style used to format the output.
+* @param  {object[]} bullets The bullets from the document model, each with a label and a value.
+* @return {string} The markdown for the bullets.
+*/
+function getBulletsMarkdown(style, bullets) {
+    let md = '';
+    for (const bullet of bullets) {
+        md += style.bulletItem(`${style.propertyDetails(style.escapeText(bullet.label))  }: ${  style.escapeText(String(bullet.value))}`, 0);
+    }
+    return md;
+}
 
-    // If the type name was inserted in the schema based on a $ref,
-    // then this type name will be returned
-    const typeName = schema.typeName;
-    if (defined(typeName)) {
-        return typeName;
+/**
+* @function getFormattedType
+* Gets the styled type of a property, linking to the documentation of the type where appropriate.
+* The type of a polymorphic property is the union of the types of its variants, like `string | camera`.
+* @param  {object} style The style used to format the output.
+* @param  {object} property The property from the document model.
+* @param  {string} autoLink Enum value indicating how the auto-linking should be handled.
+* @param  {boolean} inTable Indicates if the type is shown in a table.
+* @return {string} The styled type.
+*/
+function getFormattedType(style, property, autoLink, inTable) {
+    if (defined(property.variants)) {
+        return style.typeUnion(property.variants.map(variant => getFormattedType(style, variant, autoLink, inTable)), inTable);
+    }
+    if (!defined(property.arrayInfo)) {
+        return style.linkType(style.typeValue(property.type), property.type, autoLink);
     }
+    if (defined(property.itemType)) {
+        return `${style.linkType(style.typeValue(property.itemType), property.itemType, autoLink)  } ${  style.typeValue(property.arrayInfo)}`;
+    }
+    return style.typeValue(property.type);
+}
 
-    // For non-anyOf enum types, the type will be a regular property on the object.
-    let type = schema.type;
-    if (defined(type)) {
-        return type;
+/**
+* @function getRequiredString
+* Gets the text indicating whether a property is required, or what its default value is.
+* A property that is only required in some cases, see getConditionsMarkdown, is required "Conditionally".
+* @param  {object} style The style used to format the output.
+* @param  {object} property The property from the document model.
+* @return {string} The required text.
+*/
+function getRequiredString(style, property) {
+    if (property.required) {
+        return `${style.requiredIcon  }Yes`;
     }
+    const required = (defaultValue(property.requiredWhen, []).length > 0) ? 'Conditionally' : 'No';
+
+    const propertyDefault = property.default;
+    if (defined(propertyDefault)) {
+        let defaultString;
+        if (Array.isArray(propertyDefault)) {
+            defaultString = `[${  propertyDefault.toString()  }]`;
+        } else if (typeof propertyDefault === 'object') {
+            defaultString = JSON.stringify(propertyDefault);
+        } else {
+            defaultString = propertyDefault;
+        }
 
-    // For enums stored using anyOf, we'll need to get it from within anyOf.
-    const propertyAnyOf = schema['anyOf'];
-    if (!defined(propertyAnyOf)) {
-        return undefined;
+        return `${required  }, default: ${  style.defaultValue(defaultString, property.type)}`;
     }
 
-    // The type will be defined as one of the objects contained within
-    // the anyOf property, and the only property within that object with
-    // a property name "type" indicating the type of the enum value.
-    const length = propertyAnyOf.length;
-    for (let i = 0; i < length; ++i) {
-        type = propertyAnyOf[i]['type'];
-        if (defined(type)) {
-            break;
+    return required;
+}
+
+/**
+ * @function getEnumString
+ * Gets the string describing the possible enum values.
+ * @param  {object} style The style used to format the output.
+ * @param  {object[]} values The enum values from the document model.
+ * @param  {string} type The name of the object type for the enum values (e.g. string, integer, etc..)
+ * @param  {integer} depth How deep the bullet points for enum values should be.  Maximum is 3.
+ * @return {string} A string that enumerates all the possible enum values for this schema object.
+ */
+function getEnumString(style, values, type, depth) {
+    let allowedValues = '';
+    for (const value of values) {
+        let element = style.enumElement(value.value, type);
+        if (defined(value.description)) {
+            element += ` ${  style.escapeText(value.description)}`;
         }
-    }
 
-    return type;
+        allowedValues += style.bulletItem(element, depth);
+    }
+    return allowedValues;
 }
 
 /**
@@ -665,13 +866,15 @@ function getPropertyType(schema) {
 * This will take a string that describes a type that may potentially reference _other_ types, and then
 * automatically add markdown link refences to those other types inline. This is an admittedly simple
 * (and potentially buggy) approach to the problem, but seems sufficient.
+* @param  {object} style The style used to format the output.
 * @param  {string} description The string that should be auto-linked
 * @param  {string[]} knownTypes  Array of known strings that are types that should be auto-linked if found.
 * If there are multiple types with the same starting root string, it's imperative that the array is sorted such that the longer names are ordered first.
 * @param  {string} autoLink Enum value indicating how the auto-linking should be handled.
 * @return {string} The auto-linked description.
 */
-function autoLinkDescription(description, knownTypes, autoLink) {
+function autoLinkDescription(style, description, knownTypes, autoLink) {
+    description = style.escapeText(description);
     for (const type in knownTypes) {
         description = style.linkType(description, type, autoLink);
     }
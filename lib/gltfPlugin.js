@@ -0,0 +1,42 @@
+"use strict";
+const defined = require('./defined');
+
+/**
+* The built-in plugin for the vendor keywords used by the glTF schemas:
+* - gltf_sectionDescription: An additional paragraph shown after the description of a type.
+* - gltf_detailedDescription: The description shown in the details of a property, in place of its description.
+* - gltf_webgl: The related WebGL functions of a type or property.
+* - gltf_enumNames: The display names of the values of an enum.
+*/
+module.exports = {
+    name: 'gltf',
+
+    getTypeParagraphs: function (schema) {
+        return defined(schema.gltf_sectionDescription) ? [schema.gltf_sectionDescription] : undefined;
+    },
+
+    getTypeBullets: getWebGLBullets,
+
+    getPropertyDescription: function (schema) {
+        return schema.gltf_detailedDescription;
+    },
+
+    getPropertyBullets: getWebGLBullets,
+
+    getEnumNames: function (schema) {
+        return schema.gltf_enumNames;
+    }
+};
+
+/**
+* @function getWebGLBullets
+* Gets the bullet listing the WebGL functions that are related to a type or property.
+* @param  {object} schema The schema of the type or property.
+* @return {object[]} The bullet, or undefined.
+*/
+function getWebGLBullets(schema) {
+    if (!defined(schema.gltf_webgl)) {
+        return undefined;
+    }
+    return [{ label: 'Related WebGL functions', value: schema.gltf_webgl }];
+}
@@ -0,0 +1,13 @@
+"use strict";
+
+module.exports = isSchema;
+
+/**
+* @function isSchema
+* Determines if a value is a schema object, as opposed to a boolean schema, an array or a missing value.
+* @param  {object} value - The value.
+* @return {boolean} true if the value is an object that is not an array; false otherwise
+*/
+function isSchema(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,55 @@
+"use strict";
+const defined = require('./defined');
+const defaultValue = require('./defaultValue');
+const isSchema = require('./isSchema');
+
+module.exports = {
+    keywords: ['baseTypes', 'inheritedFrom'],
+    getDeclaredProperties: getDeclaredProperties,
+    addBase: addBase
+};
+
+/**
+* @function getDeclaredProperties
+* Gets the names of the properties that a schema declares itself, before its bases are merged into it.
+* A property that is only listed with an empty schema, like "name": {}, is not declared, but inherited.
+* @param  {object} derived - The schema that has bases.
+* @return {string[]} The names of the declared properties.
+*/
+function getDeclaredProperties(derived) {
+    const properties = defaultValue(derived.properties, {});
+    return Object.keys(properties).filter(name => isSchema(properties[name]) && Object.keys(properties[name]).length > 0);
+}
+
+/**
+* @function addBase
+* Records the lineage of a schema after a base (from allOf or extends) was merged into it, since the merge removes the link.
+* A base with a title is a type, which is added to the baseTypes of the derived schema, and the properties that the
+* derived schema got from the base get the title of the type that declared them as their inheritedFrom.
+* @param  {object} derived - The schema that the base was merged into.
+* @param  {object} base - The base.
+* @param  {string[]} declaredProperties - The names of the properties that the derived schema declares itself, see getDeclaredProperties.
+*/
+function addBase(derived, base, declaredProperties) {
+    if (typeof base.title === 'string') {
+        derived.baseTypes = defaultValue(derived.baseTypes, []);
+        if (derived.baseTypes.indexOf(base.title) === -1) {
+            derived.baseTypes.push(base.title);
+        }
+    }
+
+    const properties = defaultValue(derived.properties, {});
+    const baseProperties = defaultValue(base.properties, {});
+    for (const name in baseProperties) {
+        const property = properties[name];
+        if (!baseProperties.hasOwnProperty(name) || !isSchema(baseProperties[name]) || !isSchema(property) ||
+            declaredProperties.indexOf(name) !== -1 || defined(property.inheritedFrom)) {
+            continue;
+        }
+        // Properties that the base inherited itself keep the type that declared them.
+        const inheritedFrom = defaultValue(baseProperties[name].inheritedFrom, base.title);
+        if (typeof inheritedFrom === 'string') {
+            property.inheritedFrom = inheritedFrom;
+        }
+    }
+}
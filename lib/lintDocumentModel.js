@@ -0,0 +1,258 @@
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const defined = require('./defined');
+const defaultValue = require('./defaultValue');
+const readSchemaFile = require('./readSchemaFile');
+const escapePointerToken = require('./replaceRef').escapePointerToken;
+
+module.exports = lintDocumentModel;
+
+// The files in the search path that are expected to be reached from a root schema.
+const SCHEMA_FILE_PATTERN = /\.schema\.(json|ya?ml)$/;
+
+const DEFINITION_KEYWORDS = ['definitions', '$defs'];
+
+/**
+* @function lintDocumentModel
+* Checks the schemas of a document model for problems that make the documentation less useful.
+* Each problem has one of the following rules:
+* - warning: A warning of the document model, like an unrecognized $schema.
+* - undefined-required: A required property that is not defined, which is a problem of the document model.
+* - missing-title: A type without a title, which is a warning of the document model as well.
+* - missing-description: A property without a description.
+* - missing-enum-name: A property with enum values that have no display names.
+* - invalid-default: A default value that is not one of the enum values, or not within the minimum and maximum.
+* - duplicate-title: A title that is used by schemas in different files.
+* - unreachable-file: A schema file in the search path that is not reached from any root schema.
+* @param  {object} model - The document model, as created by buildDocumentModel.
+* @param  {object} options - The options that the model was built with. The filePath of the schema (or of each entry of
+* schemas) and the searchPath are used to find the schema files that are not reached, and the paths of the files with problems.
+* @return {object[]} The problems, each with the rule, a message, the path of the schema file and the JSON pointer within that file.
+*/
+function lintDocumentModel(model, options) {
+    const roots = defaultValue(options.schemas, [options]);
+    const rootFiles = roots.filter(root => defined(root.filePath)).map(root => path.resolve(root.filePath));
+    const directories = getSearchDirectories(roots, options.searchPath);
+
+    // Schemas with the same title are reported with both of their locations by lintDuplicateTitles.
+    let problems = model.warnings.concat(defaultValue(model.problems, [])).filter(warning => warning.rule !== 'duplicate-title').map(warning =>
+        getProblem(defaultValue(warning.rule, 'warning'), warning.message, defaultValue(warning.filePath, warning.fileName), warning.pointer));
+    for (const type of model.types) {
+        if (type.documented) {
+            problems = problems.concat(lintType(type));
+        }
+    }
+
+    const reachedFiles = rootFiles.concat(model.files.filter(file => rootFiles.indexOf(file) === -1));
+    problems = problems.concat(lintDuplicateTitles(reachedFiles));
+    problems = problems.concat(lintUnreachableFiles(reachedFiles, directories));
+
+    return problems.map(problem => ({
+        rule: problem.rule,
+        message: problem.message,
+        file: path.isAbsolute(problem.fileName) ? path.relative(process.cwd(), problem.fileName) : findFile(problem.fileName, directories),
+        pointer: defaultValue(problem.pointer, '')
+    }));
+}
+
+/**
+* @function getProblem
+* Creates a problem.
+* @param  {string} rule - The name of the rule.
+* @param  {string} message - The description of the problem.
+* @param  {string} fileName - The resolved path of the schema file, or its name as it is referenced if the path is not known.
+* @param  {string} pointer - The JSON pointer to the problem within the file.
+* @return {object} The problem.
+*/
+function getProblem(rule, message, fileName, pointer) {
+    return { rule: rule, message: message, fileName: defaultValue(fileName, ''), pointer: pointer };
+}
+
+/**
+* @function lintType
+* Checks the descriptions, enums and defaults of the properties of a type.
+* @param  {object} type - The model of the type.
+* @return {object[]} The problems.
+*/
+function lintType(type) {
+    const problems = [];
+    const fileName = defaultValue(type.filePath, type.fileName);
+    for (const property of type.properties) {
+        const pointer = `${type.pointer}/properties/${escapePointerToken(property.name)}`;
+        if (!defined(property.description) && !defined(property.detailedDescription)) {
+            problems.push(getProblem('missing-description', `Property "${property.name}" has no description.`, fileName, pointer));
+        }
+
+        const unnamed = getUnnamedEnumValues(property.enum);
+        if (unnamed.length > 0) {
+            problems.push(getProblem('missing-enum-name', `Enum values ${unnamed.join(', ')} have no display names.`, fileName, pointer));
+        }
+        const unnamedItems = defined(property.items) ? getUnnamedEnumValues(property.items.enum) : [];
+        if (unnamedItems.length > 0) {
+            problems.push(getProblem('missing-enum-name', `Enum values ${unnamedItems.join(', ')} have no display names.`, fileName, `${pointer}/items`));
+        }
+
+        const message = getInvalidDefaultMessage(property);
+        if (defined(message)) {
+            problems.push(getProblem('invalid-default', message, fileName, `${pointer}/default`));
+        }
+    }
+    return problems;
+}
+
+/**
+* @function getUnnamedEnumValues
+* Gets the enum values without a display name.
+* @param  {object[]} enumValues - The enum values of the model, each with its value and an optional description, or undefined.
+* @return {string[]} The serialized values without a display name.
+*/
+function getUnnamedEnumValues(enumValues) {
+    return defaultValue(enumValues, []).filter(value => !defined(value.description)).map(value => JSON.stringify(value.value));
+}
+
+/**
+* @function getInvalidDefaultMessage
+* Checks whether the default value of a property is allowed by its own enum, minimum and maximum.
+* @param  {object} property - The model of the property.
+* @return {string} The description of the problem, or undefined if the default is valid or there is none.
+*/
+function getInvalidDefaultMessage(property) {
+    const value = property.default;
+    if (!defined(value)) {
+        return undefined;
+    }
+    const serialized = JSON.stringify(value);
+    if (defined(property.enum) && property.enum.length > 0 && !property.enum.some(entry => util.isDeepStrictEqual(entry.value, value))) {
+        return `Default value ${serialized} is not one of the enum values.`;
+    }
+    if (typeof value !== 'number') {
+        return undefined;
+    }
+    const minimum = property.minimum;
+    if (defined(minimum) && (value < minimum.value || (minimum.exclusive && value === minimum.value))) {
+        return `Default value ${serialized} is below the minimum ${minimum.value}.`;
+    }
+    const maximum = property.maximum;
+    if (defined(maximum) && (value > maximum.value || (maximum.exclusive && value === maximum.value))) {
+        return `Default value ${serialized} is above the maximum ${maximum.value}.`;
+    }
+    return undefined;
+}
+
+/**
+* @function lintDuplicateTitles
+* Finds titles that are used by schemas in different files. Only the title of each file, and those of its
+* definitions, are considered, because these are the schemas that are documented as types.
+* @param  {string[]} files - The absolute paths of the schema files.
+* @return {object[]} The problems, one for each schema with a duplicate title.
+*/
+function lintDuplicateTitles(files) {
+    const titles = {};
+    for (const file of files) {
+        collectTitles(readSchemaFile(file), file, '', titles);
+    }
+
+    const problems = [];
+    for (const title in titles) {
+        if (!titles.hasOwnProperty(title)) {
+            continue;
+        }
+        const uses = titles[title];
+        for (const use of uses) {
+            const otherFiles = uses.filter(other => other.file !== use.file).map(other => path.basename(other.file));
+            if (otherFiles.length > 0) {
+                const message = `Title "${title}" is also used in ${otherFiles.filter((file, i) => otherFiles.indexOf(file) === i).join(', ')}.`;
+                problems.push(getProblem('duplicate-title', message, use.file, `${use.pointer}/title`));
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+* @function collectTitles
+* Collects the titles of a schema and its definitions.
+* @param  {object} schema - The schema.
+* @param  {string} file - The absolute path of the file containing the schema.
+* @param  {string} pointer - The JSON pointer of the schema within the file.
+* @param  {object} titles - A map from titles to the files and JSON pointers of the schemas that use them, which is added to.
+*/
+function collectTitles(schema, file, pointer, titles) {
+    if (schema === null || typeof schema !== 'object') {
+        return;
+    }
+    if (typeof schema.title === 'string') {
+        if (!titles.hasOwnProperty(schema.title)) {
+            titles[schema.title] = [];
+        }
+        titles[schema.title].push({ file: file, pointer: pointer });
+    }
+    for (const keyword of DEFINITION_KEYWORDS) {
+        const definitions = defaultValue(schema[keyword], {});
+        for (const key in definitions) {
+            if (definitions.hasOwnProperty(key)) {
+                collectTitles(definitions[key], file, `${pointer}/${escapePointerToken(keyword)}/${escapePointerToken(key)}`, titles);
+            }
+        }
+    }
+}
+
+/**
+* @function lintUnreachableFiles
+* Finds the schema files in the search directories that are not reached from any root schema.
+* @param  {string[]} files - The absolute paths of the root schemas and the schema files that they reference.
+* @param  {string[]} directories - The absolute paths of the search directories.
+* @return {object[]} The problems, one for each file that is not reached.
+*/
+function lintUnreachableFiles(files, directories) {
+    const problems = [];
+    for (const directory of directories) {
+        for (const fileName of fs.readdirSync(directory).sort()) {
+            const file = path.join(directory, fileName);
+            if (SCHEMA_FILE_PATTERN.test(fileName) && files.indexOf(file) === -1 && fs.statSync(file).isFile()) {
+                problems.push(getProblem('unreachable-file', 'Schema file is not reached from the root schema.', file, ''));
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+* @function getSearchDirectories
+* Gets the directories that referenced schema files are looked up in. The working directory, which is
+* part of every search path, is only included if a root schema is in it.
+* @param  {object[]} roots - The root schemas, each with an optional filePath and searchPath.
+* @param  {string[]} searchPath - The search path of the options, used for roots without their own.
+* @return {string[]} The absolute paths of the existing directories, without duplicates.
+*/
+function getSearchDirectories(roots, searchPath) {
+    const directories = [];
+    for (const root of roots) {
+        for (const directory of defaultValue(root.searchPath, defaultValue(searchPath, []))) {
+            const resolved = path.resolve(directory);
+            if (directory !== '' && directories.indexOf(resolved) === -1 && fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+                directories.push(resolved);
+            }
+        }
+    }
+    return directories;
+}
+
+/**
+* @function findFile
+* Finds the path of a schema file, given its name as it is referenced, the same way that references are looked up.
+* @param  {string} fileName - The name of the file.
+* @param  {string[]} directories - The absolute paths of the search directories.
+* @return {string} The path relative to the working directory, or the name of the file if it can't be found.
+*/
+function findFile(fileName, directories) {
+    for (const directory of directories) {
+        const file = path.join(directory, fileName);
+        if (fileName !== '' && fs.existsSync(file)) {
+            return path.relative(process.cwd(), file);
+        }
+    }
+    return fileName;
+}
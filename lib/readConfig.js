@@ -0,0 +1,90 @@
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const defined = require('./defined');
+
+module.exports = readConfig;
+module.exports.findConfigFile = findConfigFile;
+
+const CONFIG_FILE_NAMES = ['wetzel.config.js', 'wetzel.config.json'];
+
+// The job properties that are file system paths, which are resolved against the directory of the configuration file.
+const PATH_PROPERTIES = ['schema', 'output', 'embedOutput', 'outDir', 'stylesheet', 'catalog', 'debug'];
+
+/**
+* @function findConfigFile
+* Looks for a wetzel.config.js or wetzel.config.json file in a directory.
+* @param  {string} directory The directory to search.
+* @return {string} The path of the configuration file, or undefined if there is none.
+*/
+function findConfigFile(directory) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+        const configPath = path.join(directory, fileName);
+        if (fs.existsSync(configPath)) {
+            return configPath;
+        }
+    }
+    return undefined;
+}
+
+/**
+* @function readConfig
+* Reads the generation jobs from a configuration file. The file is either a JSON file, or a JavaScript
+* module exporting the configuration, which is an object with a jobs array. Each job has the properties
+* schema, output, outputMode, embedOutput, outDir, ignorableTypes, headerLevel, checkmark, keyword,
+* schemaPath, searchPath, catalog, dialect, stylesheet, noTOC, autoLink, groupInherited, plugins, debug, suppressWarnings and strict, which have
+* the meaning of the corresponding command-line options. A job without an output is written to stdout.
+* Relative paths are resolved against the directory of the configuration file, except for schemaPath,
+* which is written into the documentation as-is.
+* @param  {string} configPath The path of the configuration file.
+* @return {object[]} The jobs, in the order that they are declared.
+*/
+function readConfig(configPath) {
+    const fullPath = path.resolve(configPath);
+    let config;
+    if (path.extname(fullPath) === '.js') {
+        config = require(fullPath);
+    } else {
+        config = JSON.parse(fs.readFileSync(fullPath));
+    }
+
+    if (!defined(config) || !Array.isArray(config.jobs) || config.jobs.length === 0) {
+        throw new Error(`No jobs found in ${configPath}`);
+    }
+
+    const baseDirectory = path.dirname(fullPath);
+    return config.jobs.map((job, i) => {
+        if (!defined(job.schema)) {
+            throw new Error(`No schema given for job ${i} in ${configPath}`);
+        }
+        return resolveJobPaths(job, baseDirectory);
+    });
+}
+
+/**
+* @function resolveJobPaths
+* Creates a copy of a job in which the relative file system paths are resolved against a directory.
+* @param  {object} job           The job from the configuration file.
+* @param  {string} baseDirectory The directory containing the configuration file.
+* @return {object} The job with resolved paths.
+*/
+function resolveJobPaths(job, baseDirectory) {
+    const resolved = Object.assign({}, job);
+    for (const name of PATH_PROPERTIES) {
+        // The built-in stylesheet is requested with "default" instead of a path.
+        if (defined(resolved[name]) && typeof resolved[name] === 'string' && !(name === 'stylesheet' && resolved[name] === 'default')) {
+            resolved[name] = path.resolve(baseDirectory, resolved[name]);
+        }
+    }
+    // Several root schemas, or directories of schemas, are documented together.
+    if (Array.isArray(job.schema)) {
+        resolved.schema = job.schema.map(schema => path.resolve(baseDirectory, schema));
+    }
+    if (defined(job.searchPath)) {
+        resolved.searchPath = path.resolve(baseDirectory, job.searchPath);
+    }
+    if (defined(job.plugins)) {
+        resolved.plugins = job.plugins.map(plugin => (typeof plugin === 'string' ? path.resolve(baseDirectory, plugin) : plugin));
+    }
+    return resolved;
+}
@@ -0,0 +1,71 @@
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const defined = require('./defined');
+const defaultValue = require('./defaultValue');
+
+module.exports = readSchemaFile;
+
+/**
+* @function readSchemaFile
+* Reads a JSON or YAML schema file. Files ending with .yaml or .yml are parsed as YAML, and files ending with .json
+* as JSON. Other files are parsed as JSON if their content starts with '{', and as YAML otherwise.
+* @param  {string} filePath - The path of the schema file.
+* @return {object} The parsed schema.
+* @throws {Error} If the file can't be parsed, with the file name and line of the problem in the message.
+*/
+function readSchemaFile(filePath) {
+    const text = fs.readFileSync(filePath).toString();
+    const extension = path.extname(filePath).toLowerCase();
+    const isYaml = (extension === '.yaml' || extension === '.yml') ||
+        (extension !== '.json' && !text.trimStart().startsWith('{'));
+    return isYaml ? parseYaml(text, filePath) : parseJson(text, filePath);
+}
+
+/**
+* @function parseJson
+* Parses the content of a JSON file.
+* @param  {string} text - The content of the file.
+* @param  {string} filePath - The path of the file, which is used in error messages.
+* @return {object} The parsed value.
+*/
+function parseJson(text, filePath) {
+    try {
+        return JSON.parse(text);
+    } catch (ex) {
+        // The position of the error is only given as a character offset.
+        const position = /at position (\d+)/.exec(ex.message);
+        const line = position ? text.slice(0, Number(position[1])).split('\n').length : undefined;
+        throw new Error(getParseErrorMessage(filePath, line, ex.message));
+    }
+}
+
+/**
+* @function parseYaml
+* Parses the content of a YAML file, where only the types of JSON are supported (e.g. no dates).
+* @param  {string} text - The content of the file.
+* @param  {string} filePath - The path of the file, which is used in error messages.
+* @return {object} The parsed value.
+*/
+function parseYaml(text, filePath) {
+    try {
+        return yaml.load(text, { schema: yaml.CORE_SCHEMA, filename: filePath });
+    } catch (ex) {
+        const line = defined(ex.mark) ? ex.mark.line + 1 : undefined;
+        throw new Error(getParseErrorMessage(filePath, line, defaultValue(ex.reason, ex.message)));
+    }
+}
+
+/**
+* @function getParseErrorMessage
+* Builds the message of an error that occurred while parsing a schema file.
+* @param  {string} filePath - The path of the file.
+* @param  {int} line - The one-based line of the error, or undefined if it is not known.
+* @param  {string} reason - The description of the error.
+* @return {string} The message.
+*/
+function getParseErrorMessage(filePath, line, reason) {
+    const location = defined(line) ? `${filePath}:${line}` : filePath;
+    return `Unable to parse ${location}: ${reason}`;
+}
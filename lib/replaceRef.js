@@ -3,73 +3,114 @@ const defined = require('./defined');
 const defaultValue = require('./defaultValue');
 const path = require('path');
 const fs = require('fs');
+const url = require('url');
 const jsonpointer = require('jsonpointer');
+const clone = require('./clone');
+const readSchemaFile = require('./readSchemaFile');
+const typeIdentity = require('./typeIdentity');
 
 module.exports = replaceRef;
+module.exports.getPointerTypeName = getPointerTypeName;
+module.exports.escapePointerToken = escapePointerToken;
+module.exports.getBaseUri = getBaseUri;
+
+// The extension of schema files, which is not part of the type names that are derived from file names.
+const SCHEMA_FILE_EXTENSION = /\.schema\.(json|ya?ml)$/;
 
 /**
 * @function replaceRef
 * Replaces json schema file references referenced with a $ref property
 * with the actual file content from the referenced schema file.
-* @todo Does not currently support absolute reference paths, only relative paths.
+* Relative references are resolved against the search paths, unless they are within a schema
+* that has an absolute $id, in which case they are resolved against that base URI like absolute references.
+* Absolute references are looked up among the schemas that were indexed by their $id, and otherwise
+* loaded from the local directory that the catalog maps their URI prefix to.
+* Fragments are either JSON pointers or the names of anchors. $dynamicRef and $recursiveRef are resolved
+* against the documents that are currently being expanded, which are their dynamic scope.
+* Schemas are identified by their document and JSON pointer. A schema whose title is already used by another schema
+* gets a title of its own, so that every schema is documented, and a schema whose type name is used by another
+* schema gets a type name of its own, so that their anchors differ.
 * @param  {object} schema - The parsed json schema file as an object
 * @param  {string[]} searchPaths - The path list where any relative schema file references could be resolved
 * @param  {string[]} ignorableTypes - An array of schema filenames that shouldn't get their own documentation section.
 * @param  {object} schemaReferences - An object that will be populated with all schemas referenced by this object
 * @param  {string} parentTitle - A string that contains the title of the parent object
 * @param  {object} root - The root schema
+* @param  {object} context - The state that is shared by all recursive calls, with the optional properties loadedFiles, an object
+* that will be populated with the paths of all loaded schema files, catalog, an object mapping URI prefixes to local directories,
+* warnings, an array that warnings about schemas with the same title are added to, and fileName and filePath, the name and
+* the resolved path of the root schema file. The same context may be used for several root schemas, to share their titles.
+* @param  {string} baseUri - The absolute URI that references within the schema are resolved against, if any.
 * @return {object} The schema object with all schema file referenced replaced with the actual file content.
 */
-function replaceRef(schema, searchPaths, ignorableTypes, schemaReferences, parentTitle, root) {
+function replaceRef(schema, searchPaths, ignorableTypes, schemaReferences, parentTitle, root, context, baseUri) {
     if (!root) {
         root = schema;
+        context = defaultValue(context, {});
+        context.schemasById = {};
+        context.expanding = [];
+        context.documents = [{ schema: schema, fileName: '', filePath: context.filePath, baseUri: getBaseUri(schema) }];
+        indexSchemaIds(schema, undefined, '', context.filePath, context.schemasById);
+        addRootTitle(schema, defaultValue(schemaReferences, {}), context);
     }
 
     schemaReferences = defaultValue(schemaReferences, {});
+    baseUri = defaultValue(getBaseUri(schema, baseUri), baseUri);
 
-    const ref = schema.$ref;
+    const ref = defaultValue(schema.$ref, defaultValue(schema.$dynamicRef, schema.$recursiveRef));
     if (defined(ref)) {
-        // TODO: $ref could also be absolute.
-        let refSchema, fileName;
-        for (const searchPath of searchPaths) {
-            try {
-                const [file, pointer] = ref.split(/#(.*)/);
-                if (file) {
-                    const filePath = path.join(searchPath, file);
-                    refSchema = JSON.parse(fs.readFileSync(filePath));
-                    fileName = file;
-                } else {
-                    refSchema = root;
-                    fileName = '';
-                }
-                if (pointer) {
-                    refSchema = jsonpointer.get(refSchema, pointer);
-                    refSchema.typeName = pointer.split('/').pop();
-                }
-                break;
-            } catch (ex) { refSchema = undefined; }
+        let found = findRef(ref, searchPaths, baseUri, context);
+        if (defined(found) && !defined(schema.$ref)) {
+            found = defaultValue(findDynamicTarget(schema, found, context), found);
         }
-
-        if (!defined(refSchema)) {
+        if (!defined(found)) {
             throw new Error(`Unable to find $ref ${ref}`);
         }
+        const refSchema = found.schema;
+        const fileName = found.fileName;
 
         if (!defined(refSchema.title)) {
-            throw new Error(`No title found in $ref ${ref}`);
+            // Subschemas within a file, like the entries of $defs, are named after their key or anchor.
+            const fragment = ref.split(/#(.*)/)[1];
+            if (!fragment) {
+                throw new Error(`No title found in $ref ${ref}`);
+            }
+            refSchema.title = getFragmentName(decodeURIComponent(fragment));
         }
+        const identity = getFoundIdentity(found);
+        // References within the root schema don't know the name of its file.
+        const location = { fileName: (fileName === '') ? defaultValue(context.fileName, '') : fileName, filePath: found.document.filePath, pointer: found.pointer };
+        refSchema.title = typeIdentity.getUniqueTitle(refSchema.title, identity, location, context);
 
         // If a type is supposed to be ignored, that means that its contents should be applied
         // to the referencing schema, but it shouldn't be called out as a top-level type by itself
         // (meaning it would never show up in a table of contents or get its own documentation section).
+        // A schema that references itself, directly or through other schemas, is only expanded once.
+        // The recursive reference is replaced by a reference to the type that is already being expanded.
+        const recursive = isExpanding(refSchema, context.expanding);
+
         if (ignorableTypes.indexOf(ref.toLowerCase()) < 0) {
             if (refSchema.title in schemaReferences) {
                 // update schema and fileName in case it was inserted by a child first
-                schemaReferences[refSchema.title].schema = refSchema;
-                schemaReferences[refSchema.title].fileName = fileName;
+                if (!recursive) {
+                    schemaReferences[refSchema.title].schema = refSchema;
+                    schemaReferences[refSchema.title].fileName = fileName;
+                    schemaReferences[refSchema.title].filePath = found.document.filePath;
+                    schemaReferences[refSchema.title].pointer = found.pointer;
+                    schemaReferences[refSchema.title].source = getFoundSource(found);
+                }
                 schemaReferences[refSchema.title].parents.push(parentTitle);
             }
             else {
-                schemaReferences[refSchema.title] = { schema: refSchema, fileName, parents: [parentTitle], children: [] };
+                schemaReferences[refSchema.title] = {
+                    schema: refSchema,
+                    fileName,
+                    filePath: found.document.filePath,
+                    pointer: found.pointer,
+                    source: getFoundSource(found),
+                    parents: [parentTitle],
+                    children: []
+                };
             }
 
             if (parentTitle in schemaReferences) {
@@ -79,28 +120,464 @@ function replaceRef(schema, searchPaths, ignorableTypes, schemaReferences, paren
                 schemaReferences[parentTitle] = { schema: undefined, fileName: undefined, parents: [], children: [refSchema.title] };
             }
 
-            // From a reference named "simpleExample.type.schema.json",
+            // From a reference named "simpleExample.type.schema.json" (or .schema.yaml),
             // extract the "simpleExample.type" part as the type name
-            if (!refSchema.typeName) {
-                let typeName = fileName;
-                const indexOfFileExtension = fileName.indexOf(".schema.json");
-                if (indexOfFileExtension !== -1) {
-                    typeName = fileName.slice(0, indexOfFileExtension);
-                }
-                refSchema.typeName = typeName;
+            if (!refSchema.typeName && !recursive) {
+                refSchema.typeName = getFileTypeName(fileName);
+            }
+            if (!recursive) {
+                refSchema.typeName = typeIdentity.getUniqueTypeName(refSchema.typeName, identity, context);
             }
         }
 
-        return replaceRef(refSchema, searchPaths, ignorableTypes, schemaReferences, schema.title === undefined ? parentTitle : schema.title, root);
+        if (recursive) {
+            return getRecursiveReference(refSchema, schemaReferences[refSchema.title]);
+        }
+        // The documents that are being expanded are the dynamic scope of $dynamicRef and $recursiveRef.
+        context.documents.push(found.document);
+        const resolved = replaceRef(refSchema, searchPaths, ignorableTypes, schemaReferences, schema.title === undefined ? parentTitle : schema.title, root, context, found.baseUri);
+        context.documents.pop();
+        return resolved;
     }
 
+    context.expanding.push(schema);
     for (const name in schema) {
         if (schema.hasOwnProperty(name)) {
             if (typeof schema[name] === 'object') {
-                schema[name] = replaceRef(schema[name], searchPaths, ignorableTypes, schemaReferences, schema.title === undefined ? parentTitle : schema.title, root);
+                schema[name] = replaceRef(schema[name], searchPaths, ignorableTypes, schemaReferences, schema.title === undefined ? parentTitle : schema.title, root, context, baseUri);
             }
         }
     }
+    context.expanding.pop();
 
     return schema;
 }
+
+/**
+* @function addRootTitle
+* Records the title of the root schema, which gets a title of its own if an earlier root schema that shares
+* the context has the same title. The entry of the root in the referenced schemas learns the source of the schema.
+* @param  {object} schema - The root schema.
+* @param  {object} schemaReferences - The referenced schemas, which may already contain the entry of the root schema.
+* @param  {object} context - The state shared by the recursive calls of replaceRef.
+*/
+function addRootTitle(schema, schemaReferences, context) {
+    const title = schema.title;
+    if (!defined(title)) {
+        return;
+    }
+    const source = getFoundSource({ document: context.documents[0] });
+    const location = { fileName: defaultValue(context.fileName, ''), filePath: context.filePath, pointer: '' };
+    schema.title = typeIdentity.getUniqueTitle(title, typeIdentity.getIdentity(source, ''), location, context);
+    if (title in schemaReferences) {
+        schemaReferences[schema.title] = schemaReferences[title];
+        if (schema.title !== title) {
+            delete schemaReferences[title];
+        }
+        schemaReferences[schema.title].source = source;
+        schemaReferences[schema.title].pointer = '';
+    }
+}
+
+/**
+* @function getFoundSource
+* Gets the source of the document that a schema was found in, which is the absolute URI of the document,
+* or the resolved path of its file if it has none.
+* @param  {object} found - The found schema, as returned by findRef.
+* @return {string} The source, or the empty string if it is unknown.
+*/
+function getFoundSource(found) {
+    return defaultValue(found.document.baseUri, defaultValue(found.document.filePath, ''));
+}
+
+/**
+* @function getFoundIdentity
+* Gets the identity of a found schema, see typeIdentity.getIdentity.
+* @param  {object} found - The found schema, as returned by findRef.
+* @return {string} The identity.
+*/
+function getFoundIdentity(found) {
+    return typeIdentity.getIdentity(getFoundSource(found), found.pointer);
+}
+
+/**
+* @function getFileTypeName
+* Derives the type name of a schema from the name of its file, without the schema file extension.
+* @param  {string} fileName - The file name.
+* @return {string} The type name.
+*/
+function getFileTypeName(fileName) {
+    return fileName.replace(SCHEMA_FILE_EXTENSION, '');
+}
+
+/**
+* @function isExpanding
+* Determines if a referenced schema is currently being expanded, which means that the reference is recursive.
+* @param  {object} refSchema - The referenced schema.
+* @param  {object[]} expanding - The schemas that are currently being expanded, from the root to the innermost one.
+* @return {boolean} true if the schema, or a copy of it with the same title, is being expanded; false otherwise
+*/
+function isExpanding(refSchema, expanding) {
+    for (const schema of expanding) {
+        if (schema === refSchema || (defined(refSchema.title) && schema.title === refSchema.title)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+* @function getRecursiveReference
+* Creates the schema that replaces a recursive reference. It has the keywords of the referenced schema
+* that are not subschemas, like its title and description, and the type name of the already known type.
+* @param  {object} refSchema - The referenced schema.
+* @param  {object} type - The referenced schema entry, containing the schema that is being expanded, or undefined for ignorable types.
+* @return {object} The schema without subschemas.
+*/
+function getRecursiveReference(refSchema, type) {
+    const reference = {};
+    for (const name in refSchema) {
+        if (refSchema.hasOwnProperty(name) && (refSchema[name] === null || typeof refSchema[name] !== 'object')) {
+            reference[name] = refSchema[name];
+        }
+    }
+    if (defined(type) && defined(type.schema)) {
+        reference.typeName = defaultValue(type.schema.typeName, refSchema.title.toLowerCase().replace(/ /g, '.'));
+    }
+    return reference;
+}
+
+/**
+* @function findRef
+* Finds the schema that a reference refers to. References that resolve to an absolute URI are looked up
+* with findSchemaByUri, and other references are loaded from the search paths, or refer to the current document.
+* @param  {string} ref - The reference, with an optional JSON pointer or anchor as its fragment.
+* @param  {string[]} searchPaths - The path list where any relative schema file references could be resolved
+* @param  {string} baseUri - The absolute URI that the reference is resolved against, if any.
+* @param  {object} context - The state shared by the recursive calls of replaceRef.
+* @return {object} An object containing the schema, its file name, its JSON pointer within the file, its base URI
+* and the document containing it, or undefined if it can't be found.
+*/
+function findRef(ref, searchPaths, baseUri, context) {
+    const refUri = resolveUri(ref, baseUri);
+    if (defined(refUri)) {
+        const found = findSchemaByUri(refUri, context);
+        if (defined(found) || isAbsoluteUri(ref)) {
+            return found;
+        }
+    }
+
+    const [file, fragment] = ref.split(/#(.*)/);
+    if (!file) {
+        return findFragment(context.documents[context.documents.length - 1], fragment, true);
+    }
+    for (const searchPath of searchPaths) {
+        const filePath = path.join(searchPath, file);
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            continue;
+        }
+        // Files that can't be parsed are reported, instead of looking for them in the next search path.
+        const schema = readSchemaFile(filePath);
+        indexSchemaIds(schema, undefined, file, path.resolve(filePath), context.schemasById);
+        if (defined(context.loadedFiles)) {
+            context.loadedFiles[path.resolve(filePath)] = true;
+        }
+        const found = findFragment({ schema: schema, fileName: file, filePath: path.resolve(filePath), baseUri: getBaseUri(schema) }, fragment, true);
+        if (defined(found)) {
+            return found;
+        }
+    }
+    return undefined;
+}
+
+/**
+* @function findFragment
+* Finds the subschema of a document that a fragment refers to, which is either a JSON pointer or the name of an anchor.
+* @param  {object} document - The document, containing the schema, its file name and its base URI.
+* @param  {string} fragment - The fragment, or undefined or the empty string for the whole document.
+* @param  {boolean} encoded - Whether the fragment is a JSON pointer that is not URI-decoded yet.
+* @return {object} An object containing the subschema, the file name, the JSON pointer of the subschema, the base URI and the document,
+* or undefined if it can't be found.
+*/
+function findFragment(document, fragment, encoded) {
+    let schema = document.schema;
+    let pointer = '';
+    if (fragment && fragment.startsWith('/')) {
+        pointer = encoded ? fragment : decodeURIComponent(fragment);
+        schema = jsonpointer.get(schema, pointer);
+        if (!defined(schema) || typeof schema !== 'object') {
+            return undefined;
+        }
+        schema.typeName = getPointerTypeName(pointer);
+    } else if (fragment) {
+        const name = decodeURIComponent(fragment);
+        const anchor = findAnchor(schema, name, '$anchor', '');
+        if (!defined(anchor)) {
+            return undefined;
+        }
+        schema = anchor.schema;
+        pointer = anchor.pointer;
+        // An anchor of the whole document doesn't rename it.
+        if (schema !== document.schema) {
+            schema.typeName = name;
+        }
+    }
+    return { schema: schema, fileName: document.fileName, pointer: pointer, baseUri: document.baseUri, document: document };
+}
+
+/**
+* @function findAnchor
+* Finds the subschema that has an $anchor or $dynamicAnchor with the given name within a schema resource,
+* without looking into embedded resources that have an $id of their own.
+* @param  {object} schema - The schema resource.
+* @param  {string} name - The name of the anchor.
+* @param  {string} keyword - '$anchor' to find both kinds of anchors, or '$dynamicAnchor' to find dynamic anchors only.
+* @param  {string} pointer - The JSON pointer of the schema resource.
+* @return {object} An object containing the subschema and its JSON pointer, or undefined if there is none.
+*/
+function findAnchor(schema, name, keyword, pointer) {
+    if (schema.$dynamicAnchor === name || (keyword === '$anchor' && schema.$anchor === name)) {
+        return { schema: schema, pointer: pointer };
+    }
+    for (const key in schema) {
+        const value = schema[key];
+        if (schema.hasOwnProperty(key) && value !== null && typeof value === 'object' &&
+            key !== 'enum' && key !== 'const' && key !== 'examples' && !defined(value.$id)) {
+            const found = findAnchor(value, name, keyword, `${pointer}/${escapePointerToken(key)}`);
+            if (defined(found)) {
+                return found;
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+* @function findDynamicTarget
+* Resolves a $dynamicRef or $recursiveRef against the dynamic scope. If the schema that the reference initially resolves to
+* has a matching $dynamicAnchor, or a $recursiveAnchor of true, the outermost document that is being expanded and that has
+* such an anchor is the target instead.
+* @param  {object} schema - The schema containing the $dynamicRef or $recursiveRef.
+* @param  {object} found - The initial target, as returned by findRef.
+* @param  {object} context - The state shared by the recursive calls of replaceRef.
+* @return {object} The dynamic target, like the initial target, or undefined if it is the initial target.
+*/
+function findDynamicTarget(schema, found, context) {
+    for (const document of context.documents) {
+        let target;
+        if (defined(schema.$recursiveRef)) {
+            if (found.schema.$recursiveAnchor !== true) {
+                return undefined;
+            }
+            target = (document.schema.$recursiveAnchor === true) ? { schema: document.schema, pointer: '' } : undefined;
+        } else {
+            const name = decodeURIComponent(defaultValue(schema.$dynamicRef.split(/#(.*)/)[1], ''));
+            if (found.schema.$dynamicAnchor !== name) {
+                return undefined;
+            }
+            target = findAnchor(document.schema, name, '$dynamicAnchor', '');
+        }
+        if (defined(target)) {
+            return { schema: target.schema, fileName: document.fileName, pointer: target.pointer, baseUri: document.baseUri, document: document };
+        }
+    }
+    return undefined;
+}
+
+/**
+* @function getFragmentName
+* Gets the name of the subschema that a fragment refers to, which is the last token of a JSON pointer, or the name of an anchor.
+* @param  {string} fragment - The URI-decoded fragment.
+* @return {string} The name.
+*/
+function getFragmentName(fragment) {
+    return fragment.startsWith('/') ? getPointerTokens(fragment).pop() : fragment;
+}
+
+/**
+* @function getPointerTokens
+* Splits a JSON pointer into its unescaped reference tokens.
+* @param  {string} pointer - The JSON pointer, e.g. "/$defs/a~1b".
+* @return {string[]} The reference tokens, e.g. ["$defs", "a/b"].
+*/
+function getPointerTokens(pointer) {
+    return pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+* @function getPointerTypeName
+* Derives the type name of a subschema from its JSON pointer. Definitions are named after their keys,
+* joined with dots if they are nested, e.g. "a.b" for "/$defs/a/$defs/b". Other subschemas are named after the last token.
+* @param  {string} pointer - The JSON pointer of the subschema within its file.
+* @return {string} The type name.
+*/
+function getPointerTypeName(pointer) {
+    const tokens = getPointerTokens(pointer);
+    const keys = [];
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+        if (tokens[i] !== 'definitions' && tokens[i] !== '$defs') {
+            return tokens[tokens.length - 1];
+        }
+        keys.push(tokens[i + 1]);
+    }
+    return (tokens.length % 2 === 0) ? keys.join('.') : tokens[tokens.length - 1];
+}
+
+/**
+* @function escapePointerToken
+* Escapes a key for use as a reference token of a JSON pointer.
+* @param  {string} token - The key.
+* @return {string} The escaped token.
+*/
+function escapePointerToken(token) {
+    return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+* @function isAbsoluteUri
+* Determines if a reference is an absolute URI, i.e. starts with a scheme like https: or urn:.
+* @param  {string} uri - The reference.
+* @return {boolean} true if the reference is an absolute URI; false otherwise
+*/
+function isAbsoluteUri(uri) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(uri);
+}
+
+/**
+* @function resolveUri
+* Resolves a reference against a base URI.
+* @param  {string} uri - The reference.
+* @param  {string} baseUri - The absolute base URI, if any.
+* @return {string} The absolute URI, or undefined if the reference is relative and there is no base URI.
+*/
+function resolveUri(uri, baseUri) {
+    if (!isAbsoluteUri(uri) && !defined(baseUri)) {
+        return undefined;
+    }
+    try {
+        return new url.URL(uri, baseUri).href;
+    } catch (ex) {
+        return undefined;
+    }
+}
+
+/**
+* @function getBaseUri
+* Gets the base URI that a schema establishes with its $id (or id in draft-04).
+* Only absolute identifiers, or identifiers that are relative to an absolute base URI, are taken into account.
+* @param  {object} schema - The schema object.
+* @param  {string} baseUri - The base URI of the enclosing schema, if any.
+* @return {string} The absolute URI identifying the schema without its fragment, or undefined.
+*/
+function getBaseUri(schema, baseUri) {
+    let id = schema.$id;
+    if (!defined(id) && typeof schema.id === 'string') {
+        id = schema.id;
+    }
+    if (typeof id !== 'string') {
+        return undefined;
+    }
+    const idUri = resolveUri(id, baseUri);
+    return defined(idUri) ? idUri.split('#')[0] : undefined;
+}
+
+/**
+* @function indexSchemaIds
+* Indexes a schema and all of its subschemas that have an $id by their absolute URI.
+* @param  {object} schema - The schema object.
+* @param  {string} baseUri - The base URI of the enclosing schema, if any.
+* @param  {string} fileName - The name of the file containing the schema.
+* @param  {string} filePath - The resolved path of the file containing the schema, if it is known.
+* @param  {object} schemasById - The index, mapping absolute URIs to objects containing the schema, its file name,
+* the resolved path of its file and its base URI.
+*/
+function indexSchemaIds(schema, baseUri, fileName, filePath, schemasById) {
+    if (schema === null || typeof schema !== 'object') {
+        return;
+    }
+    const idUri = getBaseUri(schema, baseUri);
+    if (defined(idUri)) {
+        baseUri = idUri;
+        if (!defined(schemasById[idUri])) {
+            schemasById[idUri] = { schema: schema, fileName: fileName, filePath: filePath, baseUri: idUri };
+        }
+    }
+    for (const name in schema) {
+        if (schema.hasOwnProperty(name) && name !== 'enum' && name !== 'const' && name !== 'examples') {
+            indexSchemaIds(schema[name], baseUri, fileName, filePath, schemasById);
+        }
+    }
+}
+
+/**
+* @function findSchemaByUri
+* Finds the schema that an absolute URI refers to, either among the indexed schemas,
+* or by loading it from the local directory that the catalog maps the URI to.
+* @param  {string} uri - The absolute URI, which may have a JSON pointer or an anchor as its fragment.
+* @param  {object} context - The state shared by the recursive calls of replaceRef.
+* @return {object} An object containing a copy of the schema, its file name, its base URI and the copy of the document containing it,
+* or undefined if it can't be found.
+*/
+function findSchemaByUri(uri, context) {
+    const [documentUri, fragment] = uri.split(/#(.*)/);
+
+    let found = context.schemasById[documentUri];
+    if (!defined(found)) {
+        const file = getCatalogFile(documentUri, defaultValue(context.catalog, {}));
+        if (!defined(file) || !fs.existsSync(file.path)) {
+            return undefined;
+        }
+        const schema = readSchemaFile(file.path);
+        if (defined(context.loadedFiles)) {
+            context.loadedFiles[path.resolve(file.path)] = true;
+        }
+        found = { schema: schema, fileName: file.fileName, filePath: path.resolve(file.path), baseUri: documentUri };
+        context.schemasById[documentUri] = found;
+        indexSchemaIds(schema, documentUri, file.fileName, found.filePath, context.schemasById);
+    }
+
+    // Like loading a file again, every reference gets its own copy of the schema.
+    const document = { schema: clone(found.schema, true), fileName: found.fileName, filePath: found.filePath, baseUri: found.baseUri };
+    if (!fragment) {
+        // Schemas are named after their URI, because subschemas that are identified by their own $id share the file name.
+        document.schema.typeName = getTypeNameFromUri(documentUri);
+    }
+    return findFragment(document, fragment, false);
+}
+
+/**
+* @function getCatalogFile
+* Maps an absolute URI to a local file, using the catalog. The longest matching URI prefix is used.
+* File URIs are mapped to their path without a catalog.
+* @param  {string} uri - The absolute URI without fragment.
+* @param  {object} catalog - An object mapping URI prefixes to local directories.
+* @return {object} An object containing the path of the file, and the file name relative to the catalog directory, or undefined.
+*/
+function getCatalogFile(uri, catalog) {
+    let prefix;
+    for (const candidate in catalog) {
+        if (uri.startsWith(candidate) && (!defined(prefix) || candidate.length > prefix.length)) {
+            prefix = candidate;
+        }
+    }
+    if (defined(prefix)) {
+        const fileName = decodeURIComponent(uri.slice(prefix.length));
+        return { path: path.join(catalog[prefix], fileName), fileName: fileName };
+    }
+    if (uri.startsWith('file:')) {
+        const filePath = url.fileURLToPath(uri);
+        return { path: filePath, fileName: path.basename(filePath) };
+    }
+    return undefined;
+}
+
+/**
+* @function getTypeNameFromUri
+* Derives a type name from the last segment of a URI, e.g. "bar" from "https://example.com/foo/bar.schema.json".
+* @param  {string} uri - The absolute URI without fragment.
+* @return {string} The type name.
+*/
+function getTypeNameFromUri(uri) {
+    const name = uri.split(/[/:]/).pop();
+    return name.replace(/(\.schema)?\.(json|ya?ml)$/, '');
+}
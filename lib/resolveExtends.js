@@ -0,0 +1,74 @@
+"use strict";
+const defined = require('./defined');
+const defaultValue = require('./defaultValue');
+const clone = require('./clone');
+const isSchema = require('./isSchema');
+const lineage = require('./lineage');
+
+module.exports = extend;
+
+/**
+* @function extend
+* Recursively finds schemas being referenced within the 'extends' property and merges
+* those properties into the referencing part of the schema. 'extends' is either a single schema or
+* an array of schemas. The derived schema takes precedence over its bases, and each base over the
+* bases that follow it.
+* @param  {object} derived - The json schema object that may have an 'extends' property that needs resolving.
+* @return {object} The resolved json schema object.
+*/
+function extend(derived) {
+    const base = derived['extends'];
+    if (defined(base)) {
+        delete derived['extends'];
+        const bases = Array.isArray(base) ? base : [base];
+        const declaredProperties = lineage.getDeclaredProperties(derived);
+        for (const singleBase of bases) {
+            // A base may extend other schemas itself.
+            extend(singleBase);
+            mergeProperties(derived, singleBase);
+            lineage.addBase(derived, singleBase, declaredProperties);
+        }
+    }
+
+    for (const name in derived) {
+        if (derived.hasOwnProperty(name)) {
+            if (derived[name] !== null && typeof derived[name] === 'object') {
+                extend(derived[name]);
+            }
+        }
+    }
+}
+
+/**
+* @function mergeProperties
+* Recusively takes properties within a schema reference ("the base") and merges the contents of
+* those properties into the derived schema.
+* @param  {object} derived - The schema that contains a reference to the 'base' schema.
+* @param  {object} base - The schema that was being referenced by 'derived'.
+* @return {object} The merged schema with the 'base' schema reference removed since the contents
+* have been merged into 'derived'.
+*/
+function mergeProperties(derived, base) {
+    for (const name in base) {
+        // The type name and the lineage of the base are not inherited, see lineage.addBase.
+        if (base.hasOwnProperty(name) && (name !== 'typeName' || derived.title === base.title) && lineage.keywords.indexOf(name) === -1) {
+            const baseProperty = base[name];
+
+            // Inherit from the base schema.  The derived schema overrides if it has the same property.
+            if (isSchema(baseProperty)) {
+                derived[name] = defaultValue(derived[name], {});
+                const derivedProperty = derived[name];
+
+                for (const n in baseProperty) {
+                    if (baseProperty.hasOwnProperty(n)) {
+                        if (!defined(derivedProperty[n])) {
+                            derivedProperty[n] = clone(baseProperty[n], true);
+                        }
+                    }
+                }
+            } else if (!defined(derived[name])) {
+                derived[name] = clone(baseProperty, true);
+            }
+        }
+    }
+}
@@ -1,9 +1,12 @@
 "use strict";
 const fs = require('fs');
-const defined = require('./defined');
 const defaultValue = require('./defaultValue');
 const clone = require('./clone');
 const replaceRef = require('./replaceRef');
+const addDefinitionTypes = require('./addDefinitionTypes');
+const extend = require('./resolveExtends');
+const dialects = require('./dialects');
+const schema4 = require('./schema4Resolver');
 
 module.exports = { resolve: resolve };
 
@@ -17,13 +20,17 @@ module.exports = { resolve: resolve };
 * @param  {string[]} searchPath - The path list where any relative schema file references could be resolved
 * @param  {string[]} ignorableTypes - An array of schema filenames that shouldn't get their own documentation section.
 * @param  {string} debugOutputPath [null] - If specified, intermediate processing artificats will be saved at this location for wetzel debugging purposes.
-* @return {object} The resolved schema object and its referenced schemas, as a map from the schema.title to objects
-* that contain the schema, the file name, the parents titles and the children titles
+* @param  {object} context [undefined] - The state shared while resolving references, see replaceRef.
+* @return {object} The resolved schema object, its referenced schemas, as a map from the schema.title to objects
+* that contain the schema, the file name, the resolved path of the file (from context.filePath for the root schema),
+* the parents titles and the children titles, and the warnings about problems found in the schemas, each with a message,
+* the file name, the resolved path of the file if it is known, and the JSON pointer to the problem within the file.
 */
-function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath) {
+function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath, context) {
     // work off a cloned schema so that we're not modifying input objects
     let schemaClone = clone(schema, true);
     const referencedSchemas = {};
+    context = defaultValue(context, {});
 
     if (null !== debugOutputPath) {
         fs.writeFileSync(`${debugOutputPath  }.original.json`, JSON.stringify(schemaClone), function (err) {
@@ -31,8 +38,9 @@ function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath)
         });
     }
 
-    referencedSchemas[schema.title] = { schema: schemaClone, fileName: fileName, parents: [], children: [] };
-    schemaClone = replaceRef(schemaClone, searchPath, ignorableTypes, referencedSchemas);
+    referencedSchemas[schema.title] = { schema: schemaClone, fileName: fileName, filePath: context.filePath, parents: [], children: [] };
+    schemaClone = replaceRef(schemaClone, searchPath, ignorableTypes, referencedSchemas, undefined, undefined, context);
+    addDefinitionTypes(referencedSchemas, context);
     if (null !== debugOutputPath) {
         fs.writeFileSync(`${debugOutputPath  }.schema3.expanded.json`, JSON.stringify(schemaClone), function (err) {
             if (err) { console.log(err); }
@@ -53,69 +61,15 @@ function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath)
         }
     }
 
+    // Subschemas that declare a later draft with their own $schema are normalized like schemas of that draft.
+    const warnings = [];
+    for (const subschema of dialects.findSubschemasWithDialect(schemaClone, 'schema3')) {
+        schema4.normalize(subschema, { fileName: fileName, filePath: context.filePath }, warnings);
+    }
+
     return {
         schema: schemaClone,
-        referencedSchemas: referencedSchemas
+        referencedSchemas: referencedSchemas,
+        warnings: warnings
     };
 }
-
-////////////////////////////////////////////////////////////////////////////////
-
-/**
-* @function extend
-* Recursively finds schemas being referenced within the 'extends' property and merges
-* those properties into the referencing part of the schema.
-* @param  {object} derived - The json schema object that may have an 'extends' property that needs resolving.
-* @return {object} The resolved json schema object.
-*/
-function extend(derived) {
-    const base = derived['extends'];
-    if (defined(base)) {
-        delete derived['extends'];
-        // TODO: extends could be an array
-        mergeProperties(derived, base);
-
-        extend(derived);
-    }
-
-    for (const name in derived) {
-        if (derived.hasOwnProperty(name)) {
-            if (typeof derived[name] === 'object') {
-                extend(derived[name]);
-            }
-        }
-    }
-}
-
-/**
-* @function mergeProperties
-* Recusively takes properties within a schema reference ("the base") and merges the contents of
-* those properties into the derived schema.
-* @param  {object} derived - The schema that contains a reference to the 'base' schema.
-* @param  {object} base - The schema that was being referenced by 'derived'.
-* @return {object} The merged schema with the 'base' schema reference removed since the contents
-* have been merged into 'derived'.
-*/
-function mergeProperties(derived, base) {
-    for (const name in base) {
-        if (base.hasOwnProperty(name)) {
-            const baseProperty = base[name];
-
-            // Inherit from the base schema.  The derived schema overrides if it has the same property.
-            if (typeof baseProperty === 'object') {
-                derived[name] = defaultValue(derived[name], {});
-                const derivedProperty = derived[name];
-
-                for (const n in baseProperty) {
-                    if (baseProperty.hasOwnProperty(n)) {
-                        if (!defined(derivedProperty[n])) {
-                            derivedProperty[n] = clone(baseProperty[n], true);
-                        }
-                    }
-                }
-            } else if (!defined(derived[name])) {
-                derived[name] = clone(baseProperty, true);
-            }
-        }
-    }
-}
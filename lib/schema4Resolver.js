@@ -1,11 +1,47 @@
 "use strict";
 const fs = require('fs');
+const util = require('util');
 const defined = require('./defined');
 const defaultValue = require('./defaultValue');
 const clone = require('./clone');
+const isSchema = require('./isSchema');
 const replaceRef = require('./replaceRef');
+const addDefinitionTypes = require('./addDefinitionTypes');
+const escapePointerToken = replaceRef.escapePointerToken;
+const extend = require('./resolveExtends');
+const dialects = require('./dialects');
+const lineage = require('./lineage');
 
-module.exports = { resolve: resolve };
+module.exports = { resolve: resolve, normalize: normalize };
+
+// The bounds that are merged by using the tighter one.
+const TIGHTER_BOUNDS = {
+    exclusiveMinimum: Math.max,
+    exclusiveMaximum: Math.min,
+    minLength: Math.max,
+    maxLength: Math.min,
+    minItems: Math.max,
+    maxItems: Math.min,
+    minProperties: Math.max,
+    maxProperties: Math.min,
+    minContains: Math.max,
+    maxContains: Math.min
+};
+
+// The keywords whose values map names to schemas, which are merged name by name.
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas'];
+
+// The keywords whose values are schemas that apply to the same values, which are merged.
+const SUBSCHEMA_KEYWORDS = ['items', 'additionalItems', 'additionalProperties', 'propertyNames', 'contains', 'unevaluatedItems', 'unevaluatedProperties'];
+
+// The keywords whose values map property names to the names of properties that they require, which are merged name by name.
+const DEPENDENCY_KEYWORDS = ['dependentRequired', 'dependencies'];
+
+// The keywords of conditionals, which only have a meaning together, see mergeConditions.
+const CONDITIONAL_KEYWORDS = ['if', 'then', 'else', 'inheritedConditions'];
+
+// The constraints that can't be merged into one value, where the derived value is kept and a different base value is reported.
+const UNMERGEABLE_KEYWORDS = ['pattern', 'multipleOf', 'not', 'oneOf', 'anyOf'];
 
 /**
 * @function resolve
@@ -17,13 +53,17 @@ module.exports = { resolve: resolve };
 * @param  {string[]} searchPath - The path list where any relative schema file references could be resolved
 * @param  {string[]} ignorableTypes - An array of schema filenames that shouldn't get their own documentation section.
 * @param  {string} debugOutputPath [null] - If specified, intermediate processing artificats will be saved at this location for wetzel debugging purposes.
-* @return {object} The resolved schema object and its referenced schemas, as a map from the schema.title to objects
-* that contain the schema, the file name, the parents titles and the children titles
+* @param  {object} context [undefined] - The state shared while resolving references, see replaceRef.
+* @return {object} The resolved schema object, its referenced schemas, as a map from the schema.title to objects
+* that contain the schema, the file name, the resolved path of the file (from context.filePath for the root schema),
+* the parents titles and the children titles, and the warnings about problems found in the schemas, each with a message,
+* the file name, the resolved path of the file if it is known, and the JSON pointer to the problem within the file.
 */
-function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath) {
+function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath, context) {
     // work off a cloned schema so that we're not modifying input objects
     let schemaClone = clone(schema, true);
     const referencedSchemas = {};
+    context = defaultValue(context, {});
 
     if (null !== debugOutputPath) {
         fs.writeFileSync(`${debugOutputPath  }.original.json`, JSON.stringify(schemaClone), function (err) {
@@ -31,22 +71,39 @@ function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath)
         });
     }
 
-    referencedSchemas[schema.title] = { schema: schemaClone, fileName: fileName, parents: [], children: [] };
-    schemaClone = replaceRef(schemaClone, searchPath, ignorableTypes, referencedSchemas);
+    referencedSchemas[schema.title] = { schema: schemaClone, fileName: fileName, filePath: context.filePath, parents: [], children: [] };
+    schemaClone = replaceRef(schemaClone, searchPath, ignorableTypes, referencedSchemas, undefined, undefined, context);
+    addDefinitionTypes(referencedSchemas, context);
     if (null !== debugOutputPath) {
         fs.writeFileSync(`${debugOutputPath  }.schema4.expanded.json`, JSON.stringify(schemaClone), function (err) {
             if (err) { console.log(err); }
         });
     }
 
-    resolveInheritance(schemaClone);
+    // Subschemas that declare draft-03 with their own $schema are extended like draft-03 schemas.
+    for (const subschema of dialects.findSubschemasWithDialect(schemaClone, 'schema4')) {
+        extend(subschema);
+    }
+
+    const warnings = [];
+    const inheritance = createInheritance(referencedSchemas, warnings);
+    const file = { fileName: fileName, filePath: context.filePath };
+    resolveInheritance(schemaClone, file, '', inheritance);
     if (null !== debugOutputPath) {
         fs.writeFileSync(`${debugOutputPath  }.schema4.resolved.json`, JSON.stringify(schemaClone), function (err) {
             if (err) { console.log(err); }
         });
     }
 
-    normalizeRequired(schemaClone);
+    // Remember the file that each referenced schema came from, so that warnings can point into the right file.
+    const schemaFiles = new Map();
+    for (const title in referencedSchemas) {
+        if (referencedSchemas[title].schema !== undefined) {
+            schemaFiles.set(referencedSchemas[title].schema, referencedSchemas[title]);
+        }
+    }
+
+    normalizeRequired(schemaClone, file, '', schemaFiles, warnings);
     if (null !== debugOutputPath) {
         fs.writeFileSync(`${debugOutputPath  }.schema4.requiredNormalized.json`, JSON.stringify(schemaClone), function (err) {
             if (err) { console.log(err); }
@@ -56,33 +113,60 @@ function resolve(schema, fileName, searchPath, ignorableTypes, debugOutputPath)
     // Need to process all of the individual referenced schemas as well so that they're ready for conversion.
     for (const title in referencedSchemas) {
         if (referencedSchemas[title].schema !== undefined) {
-            resolveInheritance(referencedSchemas[title].schema);
-            normalizeRequired(referencedSchemas[title].schema);
+            resolveInheritance(referencedSchemas[title].schema, referencedSchemas[title], '', inheritance);
+            normalizeRequired(referencedSchemas[title].schema, referencedSchemas[title], '', schemaFiles, warnings);
         }
     }
 
     return {
         schema: schemaClone,
-        referencedSchemas: referencedSchemas
+        referencedSchemas: referencedSchemas,
+        warnings: warnings
     };
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
+/**
+* @function normalize
+* Normalizes a subschema of a json-schema-03 schema that declares a later draft with its own $schema,
+* by merging in the properties of allOf and marking its required properties.
+* @param  {object} schema - The subschema, whose references were already replaced.
+* @param  {object} file - The fileName of the schema file, and its resolved filePath if it is known.
+* @param  {object[]} warnings - The warnings, which are added to.
+*/
+function normalize(schema, file, warnings) {
+    resolveInheritance(schema, file, '', createInheritance({}, warnings));
+    normalizeRequired(schema, file, '', new Map(), warnings);
+}
+
 /**
 * @function resolveInheritance
 * Recursively finds schemas being referenced within the 'allOf' properties and merges
-* those properties into the referencing part of the schema.
+* those properties into the referencing part of the schema. Constraints of the bases that can't
+* be satisfied together are reported as warnings.
 * @param  {object} derived - The json schema object that may have an 'allOf' property that needs resolving.
+* @param  {object} file - The fileName of the file that contains the schema object, and its resolved filePath if it is known.
+* @param  {string} pointer - The JSON pointer to the schema object within that file.
+* @param  {object} inheritance - The types, as a map from titles to the referenced schemas, so that the warnings
+* about copies of them point into their own files, the warnings, which are added to, and the warnings reported so far.
 * @return {object} The resolved json schema object.
 */
-function resolveInheritance(derived) {
+function resolveInheritance(derived, file, pointer, inheritance) {
+    const type = inheritance.types.get(derived.title);
+    if (defined(type) && type.schema.typeName === derived.typeName) {
+        file = type;
+        pointer = defaultValue(type.pointer, '');
+    }
+
     const base = derived['allOf'];
     if (defined(base)) {
-        resolveInheritance(base);
+        resolveInheritance(base, file, `${pointer}/allOf`, inheritance);
 
-        for (const singleBase in base) {
-            mergeProperties(derived, base[singleBase]);
+        const declaredProperties = lineage.getDeclaredProperties(derived);
+        for (let i = 0; i < base.length; ++i) {
+            mergeProperties(derived, base[i], file, `${pointer}/allOf/${i}`, inheritance);
+            lineage.addBase(derived, base[i], declaredProperties);
         }
 
         delete derived['allOf'];
@@ -90,56 +174,229 @@ function resolveInheritance(derived) {
 
     for (const name in derived) {
         if (derived.hasOwnProperty(name)) {
-            if (typeof derived[name] === 'object') {
-                resolveInheritance(derived[name]);
+            if (derived[name] !== null && typeof derived[name] === 'object') {
+                resolveInheritance(derived[name], file, `${pointer}/${escapePointerToken(name)}`, inheritance);
             }
         }
     }
 }
 
+/**
+* @function createInheritance
+* Creates the state of resolveInheritance.
+* @param  {object} referencedSchemas - The referenced schemas, as a map from the schema.title to objects
+* that contain the schema, the file name and the JSON pointer.
+* @param  {object[]} warnings - The warnings, which are added to.
+* @return {object} The state.
+*/
+function createInheritance(referencedSchemas, warnings) {
+    const types = new Map();
+    for (const title in referencedSchemas) {
+        if (referencedSchemas[title].schema !== undefined) {
+            types.set(title, referencedSchemas[title]);
+        }
+    }
+    return { types: types, warnings: warnings, reported: {} };
+}
+
 /**
 * @function mergeProperties
 * Recusively takes properties within a schema reference ("the base") and merges the contents of
-* those properties into the derived schema.
+* those properties into the derived schema, so that the derived schema allows what both of them allow:
+* - required is the union of both, and enum the values that are in both.
+* - The tighter of the bounds like minimum, maxLength or minItems is used.
+* - type is the types that are in both, where integer is a kind of number.
+* - Properties, and subschemas like items, that are in both are merged the same way.
+* - The properties required by dependentRequired or dependencies are the union of both.
+* - The conditionals (if, then and else) of the base are kept, see mergeConditions.
+* - multipleOf is the larger one if it is a multiple of the other one.
+* - For annotations like description, default or examples, and everything else, the derived value wins.
+* The lineage of the base (its baseTypes, and the inheritedFrom of its properties) is not merged.
+* Types, enums and consts that are incompatible are reported as warnings, and the derived value is kept.
+* So are the pattern, multipleOf, not, oneOf and anyOf of the base if they differ from those of the derived
+* schema, because the derived value is kept and the constraint of the base would be lost silently otherwise.
 * @param  {object} derived - The schema that contains a reference to the 'base' schema.
 * @param  {object} base - The schema that was being referenced by 'derived'.
-* @return {object} The merged schema with the 'base' schema reference removed since the contents
-* have been merged into 'derived'.
+* @param  {object} file - The fileName of the file that contains the reference, and its resolved filePath if it is known.
+* @param  {string} pointer - The JSON pointer to the base within that file, for warnings.
+* @param  {object} inheritance - The state of resolveInheritance.
 */
-function mergeProperties(derived, base) {
+function mergeProperties(derived, base, file, pointer, inheritance) {
     for (const name in base) {
-        if (base.hasOwnProperty(name)) {
-            const baseProperty = base[name];
-
-            // Inherit from the base schema.  The derived joins existing values if it has the same property.
-            if (typeof baseProperty === 'object') {
-                if (Array.isArray(baseProperty)) {
-                    derived[name] = defaultValue(derived[name], []);
-                    const cloned = clone(baseProperty, true);
-                    derived[name] = derived[name].concat(cloned);
-                } else {
-                    derived[name] = defaultValue(derived[name], {});
-                    const derivedProperty = derived[name];
-
-                    for (const n in baseProperty) {
-                        const cloned = clone(baseProperty[n], true);
-                        if (baseProperty.hasOwnProperty(n)) {
-                            if (defined(derivedProperty[n])) {
-                                derivedProperty[n] = Object.assign(derivedProperty[n], cloned);
-                            } else {
-                                derivedProperty[n] = cloned;
-                            }
-                        }
-                    }
+        // The lineage of the base is not inherited, see lineage.addBase.
+        if (!base.hasOwnProperty(name) || (name === 'typeName' && derived.title !== base.title) || lineage.keywords.indexOf(name) !== -1) {
+            continue;
+        }
+        const baseValue = base[name];
+        const derivedValue = derived[name];
+
+        if (name === 'minimum' || name === 'maximum') {
+            mergeLimit(derived, base, name, (name === 'minimum') ? 1 : -1);
+        } else if ((name === 'exclusiveMinimum' || name === 'exclusiveMaximum') && typeof baseValue === 'boolean') {
+            // Draft-04 exclusive flags belong to their minimum or maximum.
+            continue;
+        } else if (CONDITIONAL_KEYWORDS.indexOf(name) !== -1) {
+            continue;
+        } else if (!defined(derivedValue)) {
+            derived[name] = clone(baseValue, true);
+        } else if (name === 'required' && Array.isArray(baseValue) && Array.isArray(derivedValue)) {
+            derived[name] = derivedValue.concat(baseValue.filter(value => derivedValue.indexOf(value) === -1));
+        } else if (name === 'enum' && Array.isArray(baseValue) && Array.isArray(derivedValue)) {
+            const values = derivedValue.filter(value => baseValue.some(other => util.isDeepStrictEqual(value, other)));
+            if (values.length > 0) {
+                derived[name] = values;
+            } else {
+                reportConflict('No enum value is allowed by both the schema and its base.', file, `${pointer}/enum`, inheritance);
+            }
+        } else if (name === 'const' && !util.isDeepStrictEqual(derivedValue, baseValue)) {
+            reportConflict(`The const values ${JSON.stringify(derivedValue)} and ${JSON.stringify(baseValue)} are incompatible.`, file, `${pointer}/const`, inheritance);
+        } else if (name === 'type') {
+            const types = getCommonTypes(derivedValue, baseValue);
+            if (types.length > 0) {
+                derived[name] = (types.length === 1) ? types[0] : types;
+            } else {
+                reportConflict(`The types ${JSON.stringify(derivedValue)} and ${JSON.stringify(baseValue)} are incompatible.`, file, `${pointer}/type`, inheritance);
+            }
+        } else if (typeof baseValue === 'number' && typeof derivedValue === 'number' && name in TIGHTER_BOUNDS) {
+            derived[name] = TIGHTER_BOUNDS[name](derivedValue, baseValue);
+        } else if (name === 'multipleOf' && typeof baseValue === 'number' && typeof derivedValue === 'number' && Number.isInteger(Math.max(derivedValue, baseValue) / Math.min(derivedValue, baseValue))) {
+            derived[name] = Math.max(derivedValue, baseValue);
+        } else if (UNMERGEABLE_KEYWORDS.indexOf(name) !== -1 && !util.isDeepStrictEqual(derivedValue, baseValue)) {
+            reportConflict(`The ${name} of the base can't be merged with the ${name} of the schema, and is not documented.`, file, `${pointer}/${name}`, inheritance);
+        } else if (name === 'uniqueItems' || (name === 'additionalProperties' && baseValue === false)) {
+            derived[name] = (name === 'uniqueItems') ? (derivedValue || baseValue) : false;
+        } else if (SCHEMA_MAP_KEYWORDS.indexOf(name) !== -1 && isSchema(baseValue) && isSchema(derivedValue)) {
+            for (const key in baseValue) {
+                if (!baseValue.hasOwnProperty(key)) {
+                    continue;
                 }
-            } else if (name !== 'typeName' || derived.title === base.title) {
-                const cloned = clone(baseProperty, true);
-                if (!defined(derived[name])) {
-                    derived[name] = cloned;
+                const keyPointer = `${pointer}/${escapePointerToken(name)}/${escapePointerToken(key)}`;
+                if (isSchema(derivedValue[key]) && isSchema(baseValue[key])) {
+                    mergeProperties(derivedValue[key], baseValue[key], file, keyPointer, inheritance);
+                } else if (!defined(derivedValue[key])) {
+                    derivedValue[key] = clone(baseValue[key], true);
+                }
+            }
+        } else if (SUBSCHEMA_KEYWORDS.indexOf(name) !== -1 && isSchema(baseValue) && isSchema(derivedValue)) {
+            mergeProperties(derivedValue, baseValue, file, `${pointer}/${escapePointerToken(name)}`, inheritance);
+        } else if (DEPENDENCY_KEYWORDS.indexOf(name) !== -1 && isSchema(baseValue) && isSchema(derivedValue)) {
+            for (const key in baseValue) {
+                if (!baseValue.hasOwnProperty(key)) {
+                    continue;
+                }
+                if (Array.isArray(derivedValue[key]) && Array.isArray(baseValue[key])) {
+                    derivedValue[key] = derivedValue[key].concat(baseValue[key].filter(value => derivedValue[key].indexOf(value) === -1));
+                } else if (!defined(derivedValue[key])) {
+                    derivedValue[key] = clone(baseValue[key], true);
                 }
             }
         }
     }
+    mergeConditions(derived, base);
+}
+
+/**
+* @function mergeConditions
+* Merges the conditionals of a base into the derived schema. The if, then and else of one schema only have a meaning
+* together, and a schema has only one of them, so they are copied as a whole if the derived schema has none.
+* Otherwise, they are added to the inheritedConditions of the derived schema, an array of objects with an if, then and else.
+* @param  {object} derived - The schema that contains a reference to the 'base' schema.
+* @param  {object} base - The schema that was being referenced by 'derived'.
+*/
+function mergeConditions(derived, base) {
+    let conditions = defaultValue(base.inheritedConditions, []);
+    if (defined(base.if)) {
+        conditions = [{ if: base.if, then: base.then, else: base.else }].concat(conditions);
+    }
+    conditions = clone(conditions, true);
+
+    if (!defined(derived.if) && conditions.length > 0) {
+        const condition = conditions.shift();
+        for (const name of ['if', 'then', 'else']) {
+            if (defined(condition[name])) {
+                derived[name] = condition[name];
+            }
+        }
+    }
+    if (conditions.length > 0) {
+        derived.inheritedConditions = defaultValue(derived.inheritedConditions, []).concat(conditions);
+    }
+}
+
+/**
+* @function mergeLimit
+* Merges the minimum or maximum of a base into the derived schema, by using the tighter one. With draft-04 schemas,
+* whether the limit is exclusive is taken from the schema whose limit is used, or from either if they are the same.
+* @param  {object} derived - The derived schema.
+* @param  {object} base - The base schema, which has the limit.
+* @param  {string} name - minimum or maximum.
+* @param  {number} direction - 1 if greater values are tighter, -1 if smaller values are.
+*/
+function mergeLimit(derived, base, name, direction) {
+    const exclusiveName = (name === 'minimum') ? 'exclusiveMinimum' : 'exclusiveMaximum';
+    const baseExclusive = (base[exclusiveName] === true);
+    if (!defined(derived[name]) || base[name] * direction > derived[name] * direction) {
+        derived[name] = base[name];
+        setExclusive(derived, exclusiveName, baseExclusive);
+    } else if (base[name] === derived[name]) {
+        setExclusive(derived, exclusiveName, baseExclusive || derived[exclusiveName] === true);
+    }
+}
+
+/**
+* @function setExclusive
+* Sets the draft-04 flag that makes a minimum or maximum exclusive, unless the schema uses a later
+* draft, where exclusiveMinimum and exclusiveMaximum are bounds of their own.
+* @param  {object} schema - The schema.
+* @param  {string} exclusiveName - exclusiveMinimum or exclusiveMaximum.
+* @param  {boolean} exclusive - Whether the limit is exclusive.
+*/
+function setExclusive(schema, exclusiveName, exclusive) {
+    if (typeof schema[exclusiveName] === 'number') {
+        return;
+    }
+    if (exclusive) {
+        schema[exclusiveName] = true;
+    } else {
+        delete schema[exclusiveName];
+    }
+}
+
+/**
+* @function getCommonTypes
+* Gets the types that are allowed by two type keywords, where integer is allowed by number.
+* @param  {string|string[]} derivedType - The type of the derived schema.
+* @param  {string|string[]} baseType - The type of the base schema.
+* @return {string[]} The common types, which is empty if the types are incompatible.
+*/
+function getCommonTypes(derivedType, baseType) {
+    const derivedTypes = [].concat(derivedType);
+    const baseTypes = [].concat(baseType);
+    const allows = (types, type) => types.indexOf(type) !== -1 || (type === 'integer' && types.indexOf('number') !== -1);
+    const types = derivedTypes.filter(type => allows(baseTypes, type));
+    for (const type of baseTypes) {
+        if (allows(derivedTypes, type) && types.indexOf(type) === -1) {
+            types.push(type);
+        }
+    }
+    return types;
+}
+
+/**
+* @function reportConflict
+* Adds a warning about constraints of a schema and its base that can't be satisfied together, unless
+* it was reported already, which happens when a type with the conflict is referenced more than once.
+* @param  {string} message - The description of the conflict.
+* @param  {object} file - The fileName of the file, and its resolved filePath if it is known.
+* @param  {string} pointer - The JSON pointer to the conflicting constraint of the base.
+* @param  {object} inheritance - The state of resolveInheritance.
+*/
+function reportConflict(message, file, pointer, inheritance) {
+    const key = `${defaultValue(file.filePath, file.fileName)}#${pointer}: ${message}`;
+    if (!inheritance.reported[key]) {
+        inheritance.reported[key] = true;
+        inheritance.warnings.push({ message: message, fileName: file.fileName, filePath: file.filePath, pointer: pointer });
+    }
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -151,10 +408,15 @@ function mergeProperties(derived, base) {
 * references properties by name that should be considered required.  We'll normalize
 * to bool attributes on the individual properties so that the markdown generation
 * logic can be shared amongst the different schema resolvers.
+* Required properties that are not defined are reported as warnings with the undefined-required rule, which only lint reports.
 * @param  {object} schema - The json schema object that needs the 'required' properties to be normalized.
+* @param  {object} file - The fileName of the file that contains the schema object, and its resolved filePath if it is known.
+* @param  {string} pointer - The JSON pointer to the schema object within that file.
+* @param  {Map} schemaFiles - A map from the referenced schemas to the files that they came from, like file.
+* @param  {object[]} warnings - The array that warnings are added to.
 * @return {object} The normalized json schema object
 */
-function normalizeRequired(schema) {
+function normalizeRequired(schema, file, pointer, schemaFiles, warnings) {
     if (schema._normalizedRequired) {
         return schema;
     }
@@ -163,14 +425,27 @@ function normalizeRequired(schema) {
         return schema;
     }
 
-    // Transfer required to a local variable.
+    // Transfer required to a local variable. A boolean required is kept, because it is
+    // the draft-03 way of declaring that a property is required.
     const requiredProperties = Array.isArray(schema.required) ? schema.required : [];
-    schema.required = undefined;
+    if (typeof schema.required !== 'boolean') {
+        schema.required = undefined;
+    }
+
+    for (const name of requiredProperties) {
+        if (!schema.properties.hasOwnProperty(name) && !defined(schema.patternProperties)) {
+            warnings.push({ rule: 'undefined-required', message: `Required property "${name}" is not defined.`, fileName: file.fileName, filePath: file.filePath, pointer: `${pointer}/required` });
+        }
+    }
 
     for (const name in schema.properties) {
         if (schema.properties.hasOwnProperty(name)) {
             let property = schema.properties[name];
-            property = normalizeRequired(property);
+            if (schemaFiles.has(property)) {
+                property = normalizeRequired(property, schemaFiles.get(property), '', schemaFiles, warnings);
+            } else {
+                property = normalizeRequired(property, file, `${pointer}/properties/${escapePointerToken(name)}`, schemaFiles, warnings);
+            }
 
             if (requiredProperties.indexOf(name) >= 0) {
                 property.required = true;
@@ -3,401 +3,834 @@ const defined = require('./defined');
 const defaultValue = require('./defaultValue');
 const enums = require('./enums');
 
-let moduleStyleMode = enums.styleModeOption.Markdown;
+module.exports = createStyle;
 
-module.exports = {
-    setStyleMode: setStyleMode,
+const REFERENCE = "reference-";
+const SCHEMA_REFERENCE = "schema-reference-";
+
+/**
+ * The syntax of Markdown. Each output style mode is an object with the same helpers, which createStyle
+ * uses for everything that differs between the modes:
+ * - fileExtension: The file extension of documents, including the leading dot.
+ * - headerCharacter: The character that is repeated to start a header of a level.
+ * - heading(level, text), paragraph(text), blockQuote(text): A header, paragraph or quote of (already styled) text.
+ * - escapeText(text): Escapes free text taken from a schema (like a description) so that it displays as-is.
+ * - finishDocument(md, title, stylesheet): Completes a generated document.
+ * - section(level, anchorName, title, embedMode): The start of the section of a type, with its anchor and header.
+ * - bulletItem(item, indentationLevel): A bulleted item.
+ * - link(string, link): A link, for a string and a link that are not empty.
+ * - beginTable(title, columnList), addTableRow(data), endTable(): A table.
+ * - beginCollapsible(summary), endCollapsible(): A section that is collapsed until the reader expands it.
+ * - typeUnion(types, inTable), tableCell(text): The union of the types of variants, and the text of a table cell.
+ * - bold(string), codeSpan(string): Bold text, and code, for strings that are not empty.
+ * - minMax(string): Prepares a minimum or maximum, like "<= 1", to be shown as code.
+ * - codeStartCharacters, codeSpanPattern(type): The characters (escaped for a character class) that code can start
+ *   with, and the regular expression for a type that is shown as code, so that auto-linking can find it.
+ * - embedJsonSchema(fileName, schemaRelativeBasePath): The reference to a JSON schema file.
+ */
+const markdown = {
+    fileExtension: '.md',
+    headerCharacter: '#',
+    heading: (level, text) => `${'#'.repeat(level)  } ${  text  }\n`,
+    paragraph: text => `${text  }\n\n`,
+    blockQuote: text => `> ${  text  }\n\n`,
+    // Schema authors commonly use the inline syntax of Markdown, so the text is passed through.
+    escapeText: text => text,
+    finishDocument: md => md,
+    section: (level, anchorName, title) => '---------------------------------------\n' +
+        `<a name="${  anchorName  }"></a>\n${  '#'.repeat(level)  } ${  title  }\n\n`,
+    bulletItem: (item, indentationLevel) => `${' '.repeat(indentationLevel * 4)  }* ${  item  }\n`,
+    link: (string, link) => `[${  string  }](${  link  })`,
+    beginTable: (title, columnList) => `**${  title  }**\n\n|${  columnList.join('|')  }|\n${  '|---'.repeat(columnList.length)  }|\n`,
+    addTableRow: data => `|${  data.join('|')  }|\n`,
+    endTable: () => '\n',
+    // GitHub renders Markdown within the details element when it is separated by blank lines.
+    beginCollapsible: summary => `<details>\n<summary>${  summary  }</summary>\n\n`,
+    endCollapsible: () => '</details>\n\n',
+    // Markdown drops the backslash outside of tables as well.
+    typeUnion: types => types.join(' \\| '),
+    tableCell: text => text.replace(/\|/g, '\\|'),
+    bold: string => `**${  string  }**`,
+    codeSpan: string => `\`${  string  }\``,
+    minMax: string => string,
+    codeStartCharacters: '`',
+    codeSpanPattern: type => `\`${  type  }\``,
+    embedJsonSchema: (fileName, schemaRelativeBasePath) => `[${  fileName  }](${  schemaRelativeBasePath  }${fileName  })\n`
+};
+
+/**
+ * The syntax of AsciiDoctor, see markdown.
+ */
+const asciiDoctor = {
+    fileExtension: '.adoc',
+    headerCharacter: '=',
+    heading: (level, text) => `${'='.repeat(level)  } ${  text  }\n`,
+    paragraph: text => `${text  }\n\n`,
+    blockQuote: text => `> ${  text  }\n\n`,
+    // Schema authors commonly use the inline syntax of AsciiDoctor, so the text is passed through.
+    escapeText: text => text,
+    finishDocument: md => md,
+    section: (level, anchorName, title, embedMode) => {
+        // JSON embedded schemas don't get a horizontal rule here, because
+        // there will be page breaks between them instead.
+        const rule = (embedMode !== enums.embedMode.writeIncludeStatements) ? "'''\n" : '';
+        return `${rule  }[#${  anchorName  }]\n${  '='.repeat(level)  } ${  title  }\n\n`;
+    },
+    bulletItem: (item, indentationLevel) => `${'*'.repeat(indentationLevel + 1)  } ${  item  }\n`,
+    link: (string, link) => {
+        if (link[0] === '#') {
+            return `<<${  link.substring(1)  },${  string  }>>`;
+        }
+        if (/\.adoc#/.test(link)) {
+            return `xref:${  link  }[${  string  }]`;
+        }
+        return `link:${  link  }[${  string  }]`;
+    },
+    beginTable: (title, columnList) => `.${  title  }\n|===\n|${  columnList.join('|')  }\n\n`,
+    addTableRow: data => `${data.map(d => `|${  d  }\n`).join('')  }\n`,
+    endTable: () => '|===\n\n',
+    beginCollapsible: summary => `.${  summary  }\n[%collapsible]\n====\n`,
+    endCollapsible: () => '====\n\n',
+    // The bar separates cells in tables unless it is escaped.
+    typeUnion: (types, inTable) => types.join(inTable ? ' \\| ' : ' | '),
+    tableCell: text => text.replace(/\|/g, '\\|'),
+    bold: string => `**${  string  }**`,
+    codeSpan: string => `\`${  string  }\``,
+    minMax: string => string.replace(/</g, '&lt;').replace(/>/g, '&gt;').trim(),
+    codeStartCharacters: '`',
+    codeSpanPattern: type => `\`${  type  }\``,
+    embedJsonSchema: (fileName, schemaRelativeBasePath) => '[source,json]\n----\n' +
+        `include::${  schemaRelativeBasePath  }${fileName  }[]\n----\n\n` +
+        // Page break between embedded JSON schema files
+        '<<<\n'
+};
+
+/**
+ * The syntax of HTML, see markdown.
+ */
+const html = {
+    fileExtension: '.html',
+    headerCharacter: '#',
+    heading: (level, text) => `${openHeadingTag(level)  }${text}${  closeHeadingTag(level)  }\n`,
+    paragraph: text => `<p>${  text  }</p>\n\n`,
+    blockQuote: text => `<blockquote>${  text  }</blockquote>\n\n`,
+    // Special characters are escaped, and `code` spans are kept as code.
+    escapeText: text => escapeHtml(text.toString()).replace(/`([^`]+)`/g, '<code>$1</code>'),
+    finishDocument: finishHtmlDocument,
+    section: (level, anchorName, title) => `<hr>\n${  openHeadingTag(level, anchorName) + escapeHtml(title) + closeHeadingTag(level)  }\n\n`,
+    bulletItem: (item, indentationLevel) => `<li data-wetzel-depth="${  indentationLevel  }">${  item.replace(/\n/g, ' ')  }</li>\n`,
+    link: (string, link) => `<a href="${  escapeHtml(link)  }">${  string  }</a>`,
+    beginTable: (title, columnList) => `<table>\n<caption>${  title  }</caption>\n` +
+        `<thead><tr>${  columnList.map(c => `<th>${  c.trim()  }</th>`).join('')  }</tr></thead>\n<tbody>\n`,
+    addTableRow: data => `<tr>${  data.map(d => `<td>${  d  }</td>`).join('')  }</tr>\n`,
+    endTable: () => '</tbody>\n</table>\n\n',
+    beginCollapsible: markdown.beginCollapsible,
+    endCollapsible: markdown.endCollapsible,
+    typeUnion: types => types.join(' | '),
+    tableCell: text => text,
+    bold: string => `<strong>${  string  }</strong>`,
+    codeSpan: string => `<code>${  escapeHtml(string)  }</code>`,
+    minMax: string => string,
+    // Code is enclosed in tags instead of quotes.
+    codeStartCharacters: '`>',
+    codeSpanPattern: type => `<code>${  type  }</code>`,
+    embedJsonSchema: (fileName, schemaRelativeBasePath) => `<a href="${  escapeHtml(schemaRelativeBasePath + fileName)  }">${  fileName  }</a>\n`
+};
+
+/**
+ * The syntax of reStructuredText, see markdown.
+ */
+const reStructuredText = {
+    fileExtension: '.rst',
+    headerCharacter: '#',
+    heading: rstHeading,
+    paragraph: text => `${text  }\n\n`,
+    blockQuote: text => `.. warning::\n\n   ${  text  }\n\n`,
+    // `code` spans are turned into inline literals.
+    escapeText: text => text.toString().replace(/(^|[^`])`([^`]+)`(?!`)/g, '$1``$2``'),
+    finishDocument: md => separateListLevels(md),
+    // reStructuredText doesn't allow transitions right before a section title.
+    section: (level, anchorName, title) => `.. _${  anchorName  }:\n\n${  rstHeading(level, title)  }\n`,
+    bulletItem: (item, indentationLevel) => `${'  '.repeat(indentationLevel)  }* ${  item  }\n`,
+    link: (string, link) => {
+        // The text of references can't contain other inline markup.
+        const text = string.replace(/``/g, '');
+        const anchorIndex = link.indexOf('#');
+        if (anchorIndex >= 0 && !/^[a-z]+:/i.test(link)) {
+            // Labels are global within a Sphinx project, so references to other files only need the label.
+            return `:ref:\`${  text  } <${  link.substring(anchorIndex + 1)  }>\``;
+        }
+        return `\`${  text  } <${  link  }>\`__`;
+    },
+    beginTable: (title, columnList) => `.. list-table:: ${  title  }\n   :header-rows: 1\n\n${  rstTableRow(columnList.map(c => c.trim()))}`,
+    addTableRow: rstTableRow,
+    endTable: () => '\n',
+    // There are no collapsible sections without Sphinx extensions, so the section is introduced with a rubric instead.
+    beginCollapsible: summary => `.. rubric:: ${  summary  }\n\n`,
+    endCollapsible: () => '',
+    typeUnion: types => types.join(' | '),
+    tableCell: text => text,
+    bold: string => `**${  string  }**`,
+    codeSpan: string => `\`\`${  string  }\`\``,
+    // Inline literals can't start or end with whitespace.
+    minMax: string => string.trim(),
+    codeStartCharacters: '`',
+    codeSpanPattern: type => `\`\`${  type  }\`\``,
+    embedJsonSchema: (fileName, schemaRelativeBasePath) => `.. literalinclude:: ${  schemaRelativeBasePath  }${fileName  }\n   :language: json\n\n`
+};
 
-    setCheckmark: setCheckmark,
+const SYNTAXES = {};
+SYNTAXES[enums.styleModeOption.Markdown] = markdown;
+SYNTAXES[enums.styleModeOption.AsciiDoctor] = asciiDoctor;
+SYNTAXES[enums.styleModeOption.Html] = html;
+SYNTAXES[enums.styleModeOption.ReStructuredText] = reStructuredText;
 
-    setMustKeyword: setMustKeyword,
+/**
+ * @function createStyle
+ * Creates a style, which formats the generated documentation in one output style mode.
+ * Each call to generateMarkdown creates its own style, so that the settings of one run
+ * (like the mode, checkmark or keyword) don't leak into other runs.
+ * The syntax of each mode is given by its own object of helpers, see the modes below.
+ * @param {styleModeOption} mode [Markdown] The output style mode.
+ * @return {object} The style.
+ */
+function createStyle(mode) {
+    const syntax = SYNTAXES[defaultValue(mode, enums.styleModeOption.Markdown)];
+    let linkedTypeFiles = null;
+    let embedFileName = null;
+
+    const style = {
+        setCheckmark: setCheckmark,
+
+        setMustKeyword: setMustKeyword,
+
+        setTypeFiles: setTypeFiles,
+
+        getFileExtension: getFileExtension,
+
+        getHeaderMarkdown: getHeaderMarkdown,
+
+        heading: syntax.heading,
+
+        paragraph: syntax.paragraph,
+
+        blockQuote: syntax.blockQuote,
+
+        escapeText: escapeText,
+
+        finishDocument: syntax.finishDocument,
+
+        getSectionMarkdown: getSectionMarkdown,
+
+        getLinkMarkdown: getLinkMarkdown,
+
+        bulletItem: bulletItem,
+
+        beginTable: syntax.beginTable,
 
-    getHeaderMarkdown: getHeaderMarkdown,
+        addTableRow: syntax.addTableRow,
 
-    getSectionMarkdown: getSectionMarkdown,
+        endTable: syntax.endTable,
 
-    getLinkMarkdown: getLinkMarkdown,
+        beginCollapsible: syntax.beginCollapsible,
 
-    bulletItem: bulletItem,
+        endCollapsible: syntax.endCollapsible,
 
-    beginTable: beginTable,
+        typeUnion: syntax.typeUnion,
 
-    addTableRow: addTableRow,
+        tableCell: syntax.tableCell,
 
-    endTable: endTable,
+        /**
+        * @function bold
+        * Bold the specified string
+        * @param  {string} string - The string to be styled
+        * @return {string} The string styled as bolded for display in markdown.
+        */
+        bold: styleBold,
+
+        /**
+        * @function type
+        * Format the type heading for display in markdown
+        * @param  {string} string - The type heading to be styled
+        * @return {string} The type heading styled for display in markdown.
+        */
+        type: styleBold,
+
+        /**
+        * @function typeValue
+        * Format a typeValue for display in markdown
+        * @param  {string} string - The type value to be styled
+        * @return {string} The typeValue styled for display in markdown.
+        */
+        typeValue: styleCode,
+
+        /**
+        * @function propertiesSummary
+        * Format the summary of properties for display in markdown
+        * @param  {string} string - The summary of properties to be styled
+        * @return {string} The summary of properties styled for display in markdown.
+        */
+        propertiesSummary: styleBold,
+
+        /**
+        * @function propertyNameSummary
+        * Format a property name for display in markdown
+        * @param  {string} string - The property name summary to be styled
+        * @return {string} The styled property name summary for display in markdown.
+        */
+        propertyNameSummary: styleBold,
+
+        /**
+        * @function propertiesDetails
+        * Format the details of properties for display in markdown
+        * @param  {string} string - The details of properties to be styled
+        * @return {string} The details of properties styled for display in markdown.
+        */
+        propertiesDetails: styleBold,
+
+        /**
+        * @function propertyDetails
+        * Format the details of a property for display in markdown
+        * @param  {string} string - The property details to be styled
+        * @return {string} The property details styled for display in markdown.
+        */
+        propertyDetails: styleBold,
+
+        /**
+        * @function defaultValue
+        * Format a defaultValue for display in markdown
+        * @param  {string} string - The default value
+        * @param  {type} string - The type of the default value
+        * @return {string} The default value styled for display in markdown.
+        */
+        defaultValue: styleCodeType,
+
+        /**
+        * @function enumElement
+        * Format an enumElement for display in markdown
+        * @param  {string} string - The enum element to be styled
+        * @param  {type} string - The type of the enum element
+        * @return {string} The enum element styled for display in markdown.
+        */
+        enumElement: styleCodeType,
+
+        /**
+        * @function minMax
+        * Format a minimum or maximum value for display in markdown
+        * @param  {int} value - The minimum/maximum value to be styled
+        * @return {string} The minimum or maximum value styled for display in markdown.
+        */
+        minMax: styleMinMax,
+
+        linkType: linkType,
+
+        getTOCLink: getTOCLink,
+
+        getSchemaEmbedLink: getSchemaEmbedLink,
+
+        embedJsonSchema: embedJsonSchema,
+
+        /**
+        * @property {string} requiredIcon - The markdown string used for displaying the icon used to indicate a value is required.
+        */
+        requiredIcon: ' &#10003; ',
+
+        /**
+         * @property {string} mustKeyword - The keyword used when a condition must be true.
+         */
+        mustKeyword: ' must ',
+
+        /**
+         * @property {string} defaultStylesheet - The CSS that is embedded into HTML output when no other stylesheet is given.
+         */
+        defaultStylesheet: [
+            'body { font-family: sans-serif; line-height: 1.5; max-width: 60em; margin: 0 auto; padding: 0 1em; }',
+            'code { font-family: monospace; background: #f4f4f4; padding: 0 0.2em; }',
+            'table { border-collapse: collapse; margin: 1em 0; }',
+            'caption { font-weight: bold; text-align: left; padding: 0.5em 0; }',
+            'th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }',
+            'th { background: #f4f4f4; }',
+            'blockquote { border-left: 4px solid #c00; margin: 1em 0; padding: 0 1em; }'
+        ].join('\n'),
+    };
 
     /**
-    * @function bold
-    * Bold the specified string
-    * @param  {string} string - The string to be styled
-    * @return {string} The string styled as bolded for display in markdown.
-    */
-    bold: styleBold,
+     * @function setCheckmark
+     * Set the symbol used to indicate required properties.
+     * @param {string} checkmark The desired symbol
+     */
+    function setCheckmark(checkmark) {
+        if (checkmark.length > 0) {
+            style.requiredIcon = ` ${  checkmark  } `;
+        } else {
+            style.requiredIcon = '';
+        }
+    }
 
     /**
-    * @function type
-    * Format the type heading for display in markdown
-    * @param  {string} string - The type heading to be styled
-    * @return {string} The type heading styled for display in markdown.
-    */
-    type: styleBold,
+     * @function setMustKeyword
+     * Set the keyword used in place of the word "must".
+     * @param {string} mustKeyword The keyword used when a condition must be true.
+     */
+    function setMustKeyword(mustKeyword) {
+        if (mustKeyword.length > 0) {
+            style.mustKeyword = ` ${  mustKeyword  } `;
+        } else {
+            style.mustKeyword = ' must ';
+        }
+    }
 
     /**
-    * @function typeValue
-    * Format a typeValue for display in markdown
-    * @param  {string} string - The type value to be styled
-    * @return {string} The typeValue styled for display in markdown.
+     * @function setTypeFiles
+     * Set the files that types are written to when each type gets its own output file.
+     * Links to a type will then target the anchor within that file, instead of an anchor in the same document.
+     * @param {object} typeFiles A map from type names (or titles) to the file that documents them, or null for a single document.
+     * @param {string} embedFile The file containing the embedded JSON schemas, relative to the type files, if any.
+     */
+    function setTypeFiles(typeFiles, embedFile) {
+        linkedTypeFiles = null;
+        embedFileName = defaultValue(embedFile, null);
+        if (defined(typeFiles)) {
+            linkedTypeFiles = {};
+            for (const type in typeFiles) {
+                linkedTypeFiles[createAnchorName(type)] = typeFiles[type];
+            }
+        }
+    }
+
+    /**
+     * @function getFileExtension
+     * Gets the file extension used for documents written in the current output style mode.
+     * @return {string} The file extension, including the leading dot.
+     */
+    function getFileExtension() {
+        return syntax.fileExtension;
+    }
+
+    /**
+    * @function getHeaderMarkdown
+    * Gets the markdown syntax for the start of a header.
+    * @param  {int} level - The header lever that is being requested
+    * @return {string} The markdown string that should be placed prior to the title of the header
     */
-    typeValue: styleCode,
+    function getHeaderMarkdown(level) {
+        return syntax.headerCharacter.repeat(level);
+    }
 
     /**
-    * @function propertiesSummary
-    * Format the summary of properties for display in markdown
-    * @param  {string} string - The summary of properties to be styled
-    * @return {string} The summary of properties styled for display in markdown.
+    * @function escapeText
+    * Escapes free text taken from a schema (like a description) so that it displays as-is, see the escapeText of the modes.
+    * @param  {string} text - The text to be escaped
+    * @return {string} The escaped text
     */
-    propertiesSummary: styleBold,
+    function escapeText(text) {
+        if (!defined(text)) {
+            return text;
+        }
+        return syntax.escapeText(text);
+    }
 
     /**
-    * @function propertyNameSummary
-    * Format a property name for display in markdown
-    * @param  {string} string - The property name summary to be styled
-    * @return {string} The styled property name summary for display in markdown.
+    * @function getSectionMarkdown
+    * Gets the markdown syntax for the start of a section.
+    * @param  {object} schema - The schema for which this section is created
+    * @param  {int} level - The header lever that is being requested
+    * @param  {boolean} suppressWarnings Indicates if wetzel warnings should be printed in the documentation.
+    * @param  {string} embedMode Emum value indicating if we are embedding JSON schema include directives.
+    * @return {string} The markdown string that should be placed as the start of the section
     */
-    propertyNameSummary: styleBold,
+    function getSectionMarkdown(schema, level, suppressWarnings, embedMode) {
+        let title = defaultValue(schema.title, suppressWarnings ? '' : 'WETZEL_WARNING: title not defined');
+        let typeName = schema.typeName;
+        if (!defined(typeName)) {
+            typeName = title.toLowerCase().replace(/ /g, ".");
+        }
+
+        let reference = REFERENCE;
+        if (embedMode === enums.embedMode.writeIncludeStatements) {
+            reference = SCHEMA_REFERENCE;
+            title = `JSON Schema for ${  title}`;
+        }
+
+        return syntax.section(level, reference + createAnchorName(typeName), title, embedMode);
+    }
 
     /**
-    * @function propertiesDetails
-    * Format the details of properties for display in markdown
-    * @param  {string} string - The details of properties to be styled
-    * @return {string} The details of properties styled for display in markdown.
+    * @function getSectionMarkdown
+    * Gets the markdown syntax for a bulleted item.
+    * @param  {string} item - The item being bulleted.
+    * @param  {int} indentationLevel - The number of indentation levels that should be applied
+    * @return {string} The markdown string representing the item as a bulleted item at the proper indentation.
     */
-    propertiesDetails: styleBold,
+    function bulletItem(item, indentationLevel) {
+        return syntax.bulletItem(item, defaultValue(indentationLevel, 0));
+    }
 
     /**
-    * @function propertyDetails
-    * Format the details of a property for display in markdown
-    * @param  {string} string - The property details to be styled
-    * @return {string} The property details styled for display in markdown.
+    * @function getLinkMarkdown
+    * Creates a markdown link
+    * @param  {string} string - The string to be linked
+    * @param  {string} link - The link that should be applied to the string
+    * @return {string} The markdown with the specified string hyperlinked to the specified link.
     */
-    propertyDetails: styleBold,
+    function getLinkMarkdown(string, link) {
+        if ((!defined(string) || string.length === 0)) {
+            return '';
+        } else if ((!defined(link) || link.length === 0)) {
+            return string;
+        }
+        return syntax.link(string, link);
+    }
 
     /**
-    * @function propertyGltfWebGL
-    * Format a glTF WebGL property for display in markdown
-    * @param  {string} string - The glTF WebGL property to be styled
-    * @return {string} The glTF WebGL property styled for display in markdown.
+    * @function styleBold
+    * Returns back a markdown string that bolds the provided string.
+    * @param  {string} string - The string to be bolded
+    * @return {string} The bolded string in markdown syntax
     */
-    propertyGltfWebGL: styleBold,
+    function styleBold(string) {
+        if (defined(string) && string.length > 0) {
+            return syntax.bold(string);
+        }
+
+        return '';
+    }
 
     /**
-    * @function defaultValue
-    * Format a defaultValue for display in markdown
-    * @param  {string} string - The default value
-    * @param  {type} string - The type of the default value
-    * @return {string} The default value styled for display in markdown.
+    * @function styleCode
+    * Returns back a markdown string that displays the provided object as code.
+    * @param  {object} code - The object to be displayed as code. It might be a string, or a number, or ...
+    * @return {string} The code in markdown code syntax
     */
-    defaultValue: styleCodeType,
+    function styleCode(code) {
+        if (defined(code)) {
+            // If it's an object, just serialize it.
+            if (typeof code === 'object') {
+                // Someday may want to use a code fence if it's longer than, say, 88
+                // chars, but that would require keeping track of the current
+                // indentation. Not really how things are designed to work right
+                // now. So add spaces but let it display as a single line for now.
+                return syntax.codeSpan(JSON.stringify(code, null, 1).replace(/\n/g, '').replace(/([{[]) /, '$1'));
+            }
+
+            // The object might be a string or it might be a number or something else.
+            // Let's make sure it's a string first.
+            const stringified = code.toString();
+
+            if (stringified.length > 0) {
+                return syntax.codeSpan(stringified);
+            }
+        }
+
+        return '';
+    }
 
     /**
-    * @function enumElement
-    * Format an enumElement for display in markdown
-    * @param  {string} string - The enum element to be styled
-    * @param  {type} string - The type of the enum element
-    * @return {string} The enum element styled for display in markdown.
+    * @function styleMinMax
+    * Returns back a markdown string that displays the provided min/max values as code.
+    * @param  {object} code - The object to be displayed as min/max code. It might be a string, or a number, or ...
+    * @return {string} The code in markdown code syntax
     */
-    enumElement: styleCodeType,
+    function styleMinMax(code) {
+        if (defined(code)) {
+            // The object might be a string or it might be a number or something else.
+            // Let's make sure it's a string first.
+            const stringified = code.toString();
+
+            if (stringified.length > 0) {
+                return styleCode(syntax.minMax(stringified));
+            }
+        }
+
+        return '';
+    }
 
     /**
-    * @function minMax
-    * Format a minimum or maximum value for display in markdown
-    * @param  {int} value - The minimum/maximum value to be styled
-    * @return {string} The minimum or maximum value styled for display in markdown.
+    * @function styleCodeType
+    * Returns back a markdown string that displays the provided string as code.
+    * @param  {string} string - The string to be displayed as code
+    * @param  {string} type - The type of the content in string (if it's a literal string, it will be formatted differently)
+    * @return {string} The string in markdown code syntax
     */
-    minMax: styleMinMax,
+    function styleCodeType(string, type) {
+        if (!defined(string) || string.length === 0) {
+            return '';
+        } else if (type === 'string') {
+            return styleCode(`"${  string  }"`);
+        }
 
-    linkType: linkType,
+        return styleCode(string);
+    }
 
-    getTOCLink: getTOCLink,
+    /**
+     * Gets the link target of the section for the given type. When types are written to
+     * separate files, the target includes the file that documents the type.
+     *
+     * @param {string} reference The prefix of the anchor name
+     * @param {string} type The type name (or title) to link to
+     * @return {string} The link target
+     */
+    function getTypeLink(reference, type) {
+        const anchorName = createAnchorName(type);
+        const anchor = `#${  reference  }${anchorName}`;
+        if (defined(linkedTypeFiles) && defined(linkedTypeFiles[anchorName])) {
+            return linkedTypeFiles[anchorName] + anchor;
+        }
+        return anchor;
+    }
 
-    getSchemaEmbedLink: getSchemaEmbedLink,
+    /**
+    * @function linkType
+    * Finds any occurrence of type in the provided string, and adds a markdown link to it.
+    * @param  {string} string - The string that might be referencing a type
+    * @param  {string} type - The type whose reference within string should be linked.
+    * @param  {string} autoLink - The enum value indicating how the auto-linking should be handled.
+    * @return {string} The updated string, with any occurrences of the @type string linked via markdown.
+    */
+    function linkType(string, type, autoLink) {
+        if (defaultValue(autoLink, enums.autoLinkOption.off) === enums.autoLinkOption.off) {
+            return string;
+        } else if ((!defined(string) || string.length === 0)) {
+            return string;
+        } else if ((!defined(type) || type.length === 0)) {
+            return string;
+        }
+        if (type === 'integer' || type === 'string' ||
+            type === 'object'  || type === 'number' ||
+            type === 'boolean') {
+            return string;
+        }
+        const typeLink = getTypeLink(REFERENCE, type);
 
-    embedJsonSchema: embedJsonSchema,
+        if (autoLink === enums.autoLinkOption.aggressive) {
+            // Types that are already formatted as code are not linked.
+            const regExp = new RegExp(`([^${  syntax.codeStartCharacters  }\.]|^)${  type  }([ \.]|$)`);
+            return string.replace(regExp, `$1${  getLinkMarkdown(styleCode(type), typeLink)  }$2`);
+        }
+        return string.replace(new RegExp(syntax.codeSpanPattern(type)), getLinkMarkdown(styleCode(type), typeLink));
+    }
 
     /**
-    * @property {string} requiredIcon - The markdown string used for displaying the icon used to indicate a value is required.
+    * @function getTOCLink
+    * @param  {string} displayString The text to display in the link.
+    * @param  {string} type          The string to link to.
+    * @return {string} The markdown for a link with displayString text targeted at type.
     */
-    requiredIcon: ' &#10003; ',
+    function getTOCLink(displayString, type) {
+        if ((!defined(displayString) || displayString.length === 0)) {
+            return displayString;
+        } else if ((!defined(type) || type.length === 0)) {
+            return displayString;
+        }
+        const typeLink = getTypeLink(REFERENCE, type);
+        return getLinkMarkdown(styleCode(displayString), typeLink);
+    }
 
     /**
-     * @property {string} mustKeyword - The keyword used when a condition must be true.
-     */
-    mustKeyword: ' must ',
-};
+    * @function getSchemaEmbedLink
+    * @param  {string} displayString The text to display in the link.
+    * @param  {object} schema - The schema for which this section is created
+    * @return {string} The markdown for a link with displayString text targeted at type.
+    */
+    function getSchemaEmbedLink(displayString, schema) {
+        if ((!defined(displayString) || displayString.length === 0)) {
+            return displayString;
+        } else if (!defined(schema)) {
+            return displayString;
+        }
 
-const REFERENCE = "reference-";
-const SCHEMA_REFERENCE = "schema-reference-";
+        let typeName = schema.typeName;
+        if (!defined(typeName)) {
+            typeName = schema.title.toLowerCase().replace(/ /g, ".");
+        }
+
+        let typeLink = `#${  SCHEMA_REFERENCE  }${createAnchorName(typeName)}`;
+        if (defined(embedFileName)) {
+            typeLink = embedFileName.replace(/\\/g, '/') + typeLink;
+        }
+        return getLinkMarkdown(styleCode(displayString), typeLink);
+    }
+
+    function embedJsonSchema(fileName, schemaRelativeBasePath) {
+        if (!defined(schemaRelativeBasePath)) {
+            schemaRelativeBasePath = '';
+        } else if (!schemaRelativeBasePath.endsWith('/')) {
+            schemaRelativeBasePath += '/';
+        }
+        return syntax.embedJsonSchema(fileName, schemaRelativeBasePath);
+    }
+
+    return style;
+}
 
 /**
+ * Gets a reStructuredText section title.
+ *
  * @private
+ * @param {int} level The header level
+ * @param {string} text The (already styled) text of the header
+ * @return {string} The header, ending with a single newline
  */
-function isADoc() {
-    return moduleStyleMode === enums.styleModeOption.AsciiDoctor;
+function rstHeading(level, text) {
+    return `${text  }\n${  rstUnderline(level, text)  }\n`;
 }
 
 /**
- * @function setStyleMode
- * Set the output style mode: Markdown or AsciiDoctor
- * @param {styleModeOption} mode The desired output style mode.
+ * Gets a row of cells of a reStructuredText list-table.
+ *
+ * @private
+ * @param {string[]} data The (already styled) text of the cells
+ * @return {string} The row
  */
-function setStyleMode(mode) {
-    moduleStyleMode = mode;
+function rstTableRow(data) {
+    return data.map((d, i) => `${(i === 0 ? '   * -' : '     -') + (d.length > 0 ? ' ' : '') + d  }\n`).join('');
 }
 
 /**
- * @function setCheckmark
- * Set the symbol used to indicate required properties.
- * @param {string} checkmark The desired symbol
+ * Completes an HTML document, by wrapping it into a self-contained page, and nesting its bulleted items into lists.
+ *
+ * @private
+ * @param {string} md The generated document
+ * @param {string} title The title of the document
+ * @param {string} stylesheet The CSS to embed, if any
+ * @return {string} The completed document
  */
-function setCheckmark(checkmark) {
-    if (checkmark.length > 0) {
-        module.exports.requiredIcon = ` ${  checkmark  } `;
-    } else {
-        module.exports.requiredIcon = '';
+function finishHtmlDocument(md, title, stylesheet) {
+    let page = '<!DOCTYPE html>\n';
+    page += '<html>\n';
+    page += '<head>\n';
+    page += '<meta charset="utf-8">\n';
+    page += `<title>${  escapeHtml(defaultValue(title, ''))  }</title>\n`;
+    if (defined(stylesheet)) {
+        page += `<style>\n${  stylesheet.trim()  }\n</style>\n`;
     }
+    page += '</head>\n';
+    page += '<body>\n';
+    page += nestListItems(md).trim();
+    page += '\n</body>\n';
+    page += '</html>\n';
+    return page;
 }
 
+const RST_UNDERLINES = ['=', '-', '~', '^', '"', "'", '`', '#', '*', '+'];
+
 /**
- * @function setMustKeyword
- * Set the keyword used in place of the word "must".
- * @param {string} mustKeyword The keyword used when a condition must be true.
+ * Gets the line of adornment characters placed under a reStructuredText section title.
+ * Section levels are inferred from the order of adornment styles, so each level gets its own character.
+ *
+ * @private
+ * @param {int} level The header level
+ * @param {string} text The text of the header
+ * @return {string} The underline
  */
-function setMustKeyword(mustKeyword) {
-    if (mustKeyword.length > 0) {
-        module.exports.mustKeyword = ` ${  mustKeyword  } `;
-    } else {
-        module.exports.mustKeyword = ' must ';
-    }
+function rstUnderline(level, text) {
+    const ch = RST_UNDERLINES[Math.min(Math.max(level, 1), RST_UNDERLINES.length) - 1];
+    return ch.repeat(Math.max(text.length, 1));
 }
 
-/**
-* @function getHeaderMarkdown
-* Gets the markdown syntax for the start of a header.
-* @param  {int} level - The header lever that is being requested
-* @return {string} The markdown string that should be placed prior to the title of the header
-*/
-function getHeaderMarkdown(level) {
-    let md = '';
-    const ch = isADoc() ? '=' : '#';
-    for (let i = 0; i < level; ++i) {
-        md += ch;
-    }
-
-    return md;
-}
+const RST_BULLET = /^( *)\* /;
+const RST_TABLE_ROW = /^ +(\* )?-( |$)/;
 
 /**
-* @function getSectionMarkdown
-* Gets the markdown syntax for the start of a section.
-* @param  {object} schema - The schema for which this section is created
-* @param  {int} level - The header lever that is being requested
-* @param  {boolean} suppressWarnings Indicates if wetzel warnings should be printed in the documentation.
-* @param  {string} embedMode Emum value indicating if we are embedding JSON schema include directives.
-* @return {string} The markdown string that should be placed as the start of the section
-*/
-function getSectionMarkdown(schema, level, suppressWarnings, embedMode) {
-    let md = '';
-
-    if (isADoc()) {
-        // JSON embedded schemas don't get a horizontal rule here, because
-        // there will be page breaks between them instead.
-        if (embedMode !== enums.embedMode.writeIncludeStatements) {
-            md += "'''\n";
+ * In reStructuredText, lists must be separated from surrounding paragraphs by blank lines,
+ * and so must nested lists from their parent items. This inserts the blank lines that
+ * bulleted items (which are written one at a time) cannot know about.
+ *
+ * @private
+ * @param {string} rst The reStructuredText with lists
+ * @return {string} The reStructuredText with separated lists
+ */
+function separateListLevels(rst) {
+    const lines = [];
+    let previous = null;
+    for (const line of rst.split('\n')) {
+        // The rows of list-tables look like nested lists, but are already laid out as needed.
+        if (RST_TABLE_ROW.test(line)) {
+            lines.push(line);
+            previous = null;
+            continue;
         }
-    } else {
-        md += '---------------------------------------\n';
-    }
 
-    let title = defaultValue(schema.title, suppressWarnings ? '' : 'WETZEL_WARNING: title not defined');
-    let typeName = schema.typeName;
-    if (!defined(typeName)) {
-        typeName = title.toLowerCase().replace(/ /g, ".");
-    }
-
-    let reference = REFERENCE;
-    if (embedMode === enums.embedMode.writeIncludeStatements) {
-        reference = SCHEMA_REFERENCE;
-        title = `JSON Schema for ${  title}`;
-    }
-
-    if (isADoc()) {
-        md += `[#${  reference  }${createAnchorName(typeName)  }]\n`;
-    } else {
-        md += `<a name="${  reference  }${createAnchorName(typeName)  }"></a>\n`;
-    }
-    md += `# ${  title  }\n\n`;
-
-    return md;
-}
-
-/**
-* @function getSectionMarkdown
-* Gets the markdown syntax for a bulleted item.
-* @param  {string} item - The item being bulleted.
-* @param  {int} indentationLevel - The number of indentation levels that should be applied
-* @return {string} The markdown string representing the item as a bulleted item at the proper indentation.
-*/
-function bulletItem(item, indentationLevel) {
-    indentationLevel = defaultValue(indentationLevel, 0);
-    if (isADoc()) {
-        return `${'*'.repeat(indentationLevel + 1)  } ${  item  }\n`;
-    }
-    return `${' '.repeat(indentationLevel * 4)  }* ${  item  }\n`;
-}
-
-/**
-* @function getLinkMarkdown
-* Creates a markdown link
-* @param  {string} string - The string to be linked
-* @param  {string} link - The link that should be applied to the string
-* @return {string} The markdown with the specified string hyperlinked to the specified link.
-*/
-function getLinkMarkdown(string, link) {
-    if ((!defined(string) || string.length === 0)) {
-        return '';
-    } else if ((!defined(link) || link.length === 0)) {
-        return string;
-    }
-    if (isADoc()) {
-        if (link[0] === '#') {
-            return `<<${  link.substring(1)  },${  string  }>>`;
+        const match = RST_BULLET.exec(line);
+        if (lines.length > 0 && line.length > 0 && lines[lines.length - 1].length > 0) {
+            const previousIndent = defined(previous) ? previous[1].length : -1;
+            const indent = defined(match) ? match[1].length : -1;
+            if (previousIndent !== indent && (defined(previous) || defined(match))) {
+                lines.push('');
+            }
         }
-        return `link:${  link  }[${  string  }]`;
+        lines.push(line);
+        previous = match;
     }
-    return `[${  string  }](${  link  })`;
+    return lines.join('\n');
 }
 
 /**
- * Creates a table header
- * @param {string} title - The name of this table
- * @param {array} columnList - An array of column names
+ * @private
  */
-function beginTable(columnList) {
-    let md = '';
-    if (isADoc()) {
-        md += '|===\n';
-        md += `|${  columnList.join('|')  }\n\n`;
-    } else {
-        md += `|${  columnList.join('|')  }|\n`;
-        md += `${'|---'.repeat(columnList.length)  }|\n`;
-    }
-    return md;
+function openHeadingTag(level, id) {
+    const attribute = defined(id) ? ` id="${  escapeHtml(id)  }"` : '';
+    return `<h${  Math.min(Math.max(level, 1), 6)  }${attribute}>`;
 }
 
 /**
- * Adds a row of cells to a table
- * @param {array} data - An array of data for cells on this row.
+ * @private
  */
-function addTableRow(data) {
-    if (isADoc()) {
-        return `${data.map(d => `|${  d  }\n`).join('')  }\n`;
-    }
-    return `|${  data.join('|')  }|\n`;
+function closeHeadingTag(level) {
+    return `</h${  Math.min(Math.max(level, 1), 6)  }>`;
 }
 
 /**
- * Ends a table.
+ * Escapes the characters that have a special meaning in HTML.
+ *
+ * @private
+ * @param {string} string The string
+ * @return {string} The escaped string
  */
-function endTable() {
-    if (isADoc()) {
-        return '|===\n\n';
-    }
-    return '\n';
+function escapeHtml(string) {
+    return string.replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
-/**
-* @function styleBold
-* Returns back a markdown string that bolds the provided string.
-* @param  {string} string - The string to be bolded
-* @return {string} The bolded string in markdown syntax
-*/
-function styleBold(string) {
-    if (defined(string) && string.length > 0) {
-        return `**${  string  }**`;
-    }
-
-    return '';
-}
+const HTML_BULLET = /^<li data-wetzel-depth="(\d+)">(.*)$/;
 
 /**
-* @function styleCode
-* Returns back a markdown string that displays the provided object as code.
-* @param  {object} code - The object to be displayed as code. It might be a string, or a number, or ...
-* @return {string} The code in markdown code syntax
-*/
-function styleCode(code) {
-    if (defined(code)) {
-        // If it's an object, just serialize it.
-        if (typeof code === 'object') {
-            // Someday may want to use a code fence if it's longer than, say, 88
-            // chars, but that would require keeping track of the current
-            // indentation. Not really how things are designed to work right
-            // now. So add spaces but let it display as a single line for now.
-            return `\`${  JSON.stringify(code, null, 1).replace(/\n/g, '').replace(/([{[]) /, '$1')  }\``;
+ * Bulleted items are written one at a time, so in HTML they are written as list items with
+ * their indentation level, and this turns each run of consecutive items into nested lists.
+ *
+ * @private
+ * @param {string} html The HTML with list items
+ * @return {string} The HTML with nested lists
+ */
+function nestListItems(html) {
+    const lines = [];
+    let depth = -1;
+    for (const line of html.split('\n')) {
+        const match = HTML_BULLET.exec(line);
+        if (!defined(match)) {
+            if (depth >= 0) {
+                lines[lines.length - 1] += `</li>${  '</ul></li>'.repeat(depth)  }</ul>`;
+                depth = -1;
+            }
+            lines.push(line);
+            continue;
         }
 
-        // The object might be a string or it might be a number or something else.
-        // Let's make sure it's a string first.
-        const stringified = code.toString();
-
-        if (stringified.length > 0) {
-            return `\`${  stringified  }\``;
+        const itemDepth = Math.min(parseInt(match[1]), depth + 1);
+        if (itemDepth > depth) {
+            lines.push('<ul>');
+        } else {
+            lines[lines.length - 1] += `</li>${  '</ul></li>'.repeat(depth - itemDepth)}`;
         }
+        depth = itemDepth;
+        lines.push(`<li>${  match[2].replace(/<\/li>$/, '')}`);
     }
-
-    return '';
-}
-
-/**
-* @function styleMinMax
-* Returns back a markdown string that displays the provided min/max values as code.
-* @param  {object} code - The object to be displayed as min/max code. It might be a string, or a number, or ...
-* @return {string} The code in markdown code syntax
-*/
-function styleMinMax(code) {
-    if (defined(code)) {
-        // The object might be a string or it might be a number or something else.
-        // Let's make sure it's a string first.
-        let stringified = code.toString();
-
-        if (stringified.length > 0) {
-            if (isADoc()) {
-                stringified = stringified.replace(/</g, '&lt;');
-                stringified = stringified.replace(/>/g, '&gt;');
-                stringified = stringified.trim();
-            }
-            return styleCode(stringified);
-        }
+    if (depth >= 0) {
+        lines[lines.length - 1] += `</li>${  '</ul></li>'.repeat(depth)  }</ul>`;
     }
-
-    return '';
-}
-
-/**
-* @function styleCodeType
-* Returns back a markdown string that displays the provided string as code.
-* @param  {string} string - The string to be displayed as code
-* @param  {string} type - The type of the content in string (if it's a literal string, it will be formatted differently)
-* @return {string} The string in markdown code syntax
-*/
-function styleCodeType(string, type) {
-    if (!defined(string) || string.length === 0) {
-        return '';
-    } else if (type === 'string') {
-        return styleCode(`"${  string  }"`);
-    }
-
-    return styleCode(string);
+    return lines.join('\n');
 }
 
 /**
@@ -412,92 +845,3 @@ function createAnchorName(string) {
         .replace(/ /g, "-")
         .replace(/\./g, "-");
 }
-
-/**
-* @function linkType
-* Finds any occurrence of type in the provided string, and adds a markdown link to it.
-* @param  {string} string - The string that might be referencing a type
-* @param  {string} type - The type whose reference within string should be linked.
-* @param  {string} autoLink - The enum value indicating how the auto-linking should be handled.
-* @return {string} The updated string, with any occurrences of the @type string linked via markdown.
-*/
-function linkType(string, type, autoLink) {
-    if (defaultValue(autoLink, enums.autoLinkOption.off) === enums.autoLinkOption.off) {
-        return string;
-    } else if ((!defined(string) || string.length === 0)) {
-        return string;
-    } else if ((!defined(type) || type.length === 0)) {
-        return string;
-    }
-    if (type === 'integer' || type === 'string' ||
-        type === 'object'  || type === 'number' ||
-        type === 'boolean') {
-        return string;
-    }
-    const typeLink = `#${  REFERENCE  }${createAnchorName(type)}`;
-
-    if (autoLink === enums.autoLinkOption.aggressive) {
-        const regExp = new RegExp(`([^\`\.]|^)${  type  }([ \.]|$)`);
-        return string.replace(regExp, `$1${  getLinkMarkdown(styleCode(type), typeLink)  }$2`);
-    }
-    const regExp = new RegExp(`\`${  type  }\``);
-    return string.replace(regExp, getLinkMarkdown(styleCode(type), typeLink));
-}
-
-/**
-* @function getTOCLink
-* @param  {string} displayString The text to display in the link.
-* @param  {string} type          The string to link to.
-* @return {string} The markdown for a link with displayString text targeted at type.
-*/
-function getTOCLink(displayString, type) {
-    if ((!defined(displayString) || displayString.length === 0)) {
-        return displayString;
-    } else if ((!defined(type) || type.length === 0)) {
-        return displayString;
-    }
-    const typeLink = `#${  REFERENCE  }${createAnchorName(type)}`;
-    return getLinkMarkdown(styleCode(displayString), typeLink);
-}
-
-/**
-* @function getSchemaEmbedLink
-* @param  {string} displayString The text to display in the link.
-* @param  {object} schema - The schema for which this section is created
-* @return {string} The markdown for a link with displayString text targeted at type.
-*/
-function getSchemaEmbedLink(displayString, schema) {
-    if ((!defined(displayString) || displayString.length === 0)) {
-        return displayString;
-    } else if (!defined(schema)) {
-        return displayString;
-    }
-
-    let typeName = schema.typeName;
-    if (!defined(typeName)) {
-        typeName = schema.title.toLowerCase().replace(/ /g, ".");
-    }
-
-    const typeLink = `#${  SCHEMA_REFERENCE  }${createAnchorName(typeName)}`;
-    return getLinkMarkdown(styleCode(displayString), typeLink);
-}
-
-function embedJsonSchema(fileName, schemaRelativeBasePath) {
-    let md = '';
-    if (!defined(schemaRelativeBasePath)) {
-        schemaRelativeBasePath = '';
-    } else if (!schemaRelativeBasePath.endsWith('/')) {
-        schemaRelativeBasePath += '/';
-    }
-
-    if (isADoc()) {
-        md += '[source,json]\n';
-        md += '----\n';
-        md += `include::${  schemaRelativeBasePath  }${fileName  }[]\n`;
-        md += '----\n\n';
-        md += "<<<\n";  // Page break between embedded JSON schema files
-    } else {
-        md += `${getLinkMarkdown(fileName, schemaRelativeBasePath + fileName)  }\n`;
-    }
-    return md;
-}
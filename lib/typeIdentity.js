@@ -0,0 +1,125 @@
+"use strict";
+const path = require('path');
+const defined = require('./defined');
+
+module.exports = {
+    getIdentity: getIdentity,
+    getUniqueTitle: getUniqueTitle,
+    getUniqueTypeName: getUniqueTypeName
+};
+
+/**
+* @function getIdentity
+* Identifies a schema by the document that contains it and its JSON pointer within that document.
+* Every $ref loads a copy of its target, and the copies of one schema share their identity.
+* @param  {string} source - The absolute URI of the document, or the resolved path of its file.
+* @param  {string} pointer - The JSON pointer of the schema within the document.
+* @return {string} The identity.
+*/
+function getIdentity(source, pointer) {
+    return `${source}#${pointer}`;
+}
+
+/**
+* @function getUniqueTitle
+* Gets the title that a schema is documented with. This is its own title, unless another schema already uses it,
+* in which case the title is followed by the location of the schema, like "Texture Info (textureInfo.schema.json#/$defs/info)".
+* The collision is reported as a warning.
+* @param  {string} title - The title of the schema.
+* @param  {string} identity - The identity of the schema, see getIdentity.
+* @param  {object} location - The fileName of the schema as it is referenced, the resolved filePath of that file if it is known,
+* and the JSON pointer of the schema.
+* @param  {object} context - The state shared while resolving references, see replaceRef. Its titles are added to,
+* and the warning is added to its warnings, if any.
+* @return {string} The title that is unique among all documented schemas.
+*/
+function getUniqueTitle(title, identity, location, context) {
+    const names = getNames(context, 'titles');
+    if (names.byIdentity.hasOwnProperty(identity)) {
+        return names.byIdentity[identity];
+    }
+
+    let unique = title;
+    if (names.byName.hasOwnProperty(title)) {
+        const suffix = (location.pointer === '') ? location.fileName : `${location.fileName}#${location.pointer}`;
+        unique = getUnusedName(`${title} (${suffix})`, names.byName, ' ');
+        if (defined(context.warnings)) {
+            const other = getSourceName(names.byName[title]);
+            context.warnings.push({
+                rule: 'duplicate-title',
+                message: `Title "${title}" is also used in ${other}, documented as "${unique}".`,
+                fileName: location.fileName,
+                filePath: location.filePath,
+                pointer: `${location.pointer}/title`
+            });
+        }
+    }
+    names.byName[unique] = identity;
+    names.byIdentity[identity] = unique;
+    return unique;
+}
+
+/**
+* @function getUniqueTypeName
+* Gets the type name that a schema is documented with, which must be unique, because it is used in anchors and file names.
+* A type name that another schema already uses is followed by a number, like "textureInfo-2".
+* @param  {string} typeName - The type name of the schema.
+* @param  {string} identity - The identity of the schema, see getIdentity.
+* @param  {object} context - The state shared while resolving references, see replaceRef. Its type names are added to.
+* @return {string} The type name that is unique among all documented schemas.
+*/
+function getUniqueTypeName(typeName, identity, context) {
+    const names = getNames(context, 'typeNames');
+    if (names.byIdentity.hasOwnProperty(identity)) {
+        return names.byIdentity[identity];
+    }
+
+    const unique = getUnusedName(typeName, names.byName, '-');
+    names.byName[unique] = identity;
+    names.byIdentity[identity] = unique;
+    return unique;
+}
+
+/**
+* @function getNames
+* Gets the names of one kind that are in use, as maps from names to identities and back, creating them on first use.
+* @param  {object} context - The state shared while resolving references.
+* @param  {string} kind - The kind of names, like titles.
+* @return {object} The maps byName and byIdentity.
+*/
+function getNames(context, kind) {
+    if (!defined(context[kind])) {
+        context[kind] = { byName: {}, byIdentity: {} };
+    }
+    return context[kind];
+}
+
+/**
+* @function getUnusedName
+* Gets a name that is not in use yet, by appending 2, 3 and so on if needed.
+* @param  {string} name - The preferred name.
+* @param  {object} used - The names in use.
+* @param  {string} separator - The separator between the name and the number.
+* @return {string} The name, or the name with a number.
+*/
+function getUnusedName(name, used, separator) {
+    let unique = name;
+    for (let i = 2; used.hasOwnProperty(unique); ++i) {
+        unique = `${name}${separator}${i}`;
+    }
+    return unique;
+}
+
+/**
+* @function getSourceName
+* Gets a readable name for the document of a schema, for messages.
+* @param  {string} identity - The identity of the schema.
+* @return {string} The file name or URI of the document, with the JSON pointer of the schema if it is not the whole document.
+*/
+function getSourceName(identity) {
+    const index = identity.lastIndexOf('#');
+    const source = identity.slice(0, index);
+    const pointer = identity.slice(index + 1);
+    const name = /^[a-z][a-z0-9+.-]+:/i.test(source) ? source : path.basename(source);
+    return (pointer === '') ? name : `${name}#${pointer}`;
+}
@@ -0,0 +1,187 @@
+"use strict";
+const defaultValue = require('./defaultValue');
+
+module.exports = unifiedDiff;
+
+/**
+* @function unifiedDiff
+* Compares two texts line by line, and describes the differences in the unified diff format.
+* @param  {string} oldText - The original text, e.g. the content of a file on disk.
+* @param  {string} newText - The changed text, e.g. the generated content.
+* @param  {string} oldName - The name of the original text, shown in the '---' header.
+* @param  {string} newName - The name of the changed text, shown in the '+++' header.
+* @param  {int} context [3] - The number of unchanged lines shown around each change.
+* @return {string} The unified diff, or an empty string if the texts are equal.
+*/
+function unifiedDiff(oldText, newText, oldName, newName, context) {
+    if (oldText === newText) {
+        return '';
+    }
+    context = defaultValue(context, 3);
+
+    const edits = diffLines(splitLines(oldText), splitLines(newText));
+
+    let diff = `--- ${oldName}\n+++ ${newName}\n`;
+    let i = 0;
+    while (i < edits.length) {
+        if (edits[i].type === ' ') {
+            ++i;
+            continue;
+        }
+
+        // Extend the hunk until the next change is further away than twice the context.
+        const start = Math.max(0, i - context);
+        let end = i;
+        let unchanged = 0;
+        while (end < edits.length && unchanged <= 2 * context) {
+            unchanged = (edits[end].type === ' ') ? unchanged + 1 : 0;
+            ++end;
+        }
+        end = Math.min(edits.length, end - unchanged + context);
+
+        diff += getHunk(edits, start, end);
+        i = end;
+    }
+    return diff;
+}
+
+/**
+* @function splitLines
+* Splits a text into its lines, where a final line break doesn't start another line.
+* @param  {string} text - The text.
+* @return {string[]} The lines, without their line breaks.
+*/
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+* @function getHunk
+* Formats a part of an edit script as a unified diff hunk.
+* @param  {object[]} edits - The edit script.
+* @param  {int} start - The index of the first edit of the hunk.
+* @param  {int} end - The index after the last edit of the hunk.
+* @return {string} The hunk, starting with its '@@' header.
+*/
+function getHunk(edits, start, end) {
+    let oldCount = 0;
+    let newCount = 0;
+    let lines = '';
+    for (let i = start; i < end; ++i) {
+        const edit = edits[i];
+        if (edit.type !== '+') {
+            ++oldCount;
+        }
+        if (edit.type !== '-') {
+            ++newCount;
+        }
+        lines += `${edit.type}${edit.line}\n`;
+    }
+
+    // Line numbers are one-based, except for an empty range, which refers to the line before it.
+    const oldStart = edits[start].oldLine + (oldCount > 0 ? 1 : 0);
+    const newStart = edits[start].newLine + (newCount > 0 ? 1 : 0);
+    return `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n${lines}`;
+}
+
+/**
+* @function diffLines
+* Computes a shortest edit script between two arrays of lines, using the algorithm of Eugene W. Myers.
+* @param  {string[]} a - The original lines.
+* @param  {string[]} b - The changed lines.
+* @return {object[]} The edits, each with a type (' ' for unchanged, '-' for removed and '+' for added lines),
+* the line, and the zero-based indices of the edit in both arrays.
+*/
+function diffLines(a, b) {
+    // Only the part between the common prefix and suffix needs to be searched, which is usually small.
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        ++prefix;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        ++suffix;
+    }
+
+    const edits = [];
+    for (let i = 0; i < prefix; ++i) {
+        edits.push({ type: ' ', line: a[i], oldLine: i, newLine: i });
+    }
+    for (const edit of diffMiddleLines(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix))) {
+        edit.oldLine += prefix;
+        edit.newLine += prefix;
+        edits.push(edit);
+    }
+    for (let i = suffix; i > 0; --i) {
+        edits.push({ type: ' ', line: a[a.length - i], oldLine: a.length - i, newLine: b.length - i });
+    }
+    return edits;
+}
+
+/**
+* @function diffMiddleLines
+* Computes a shortest edit script between two arrays of lines with the Myers algorithm.
+* @param  {string[]} a - The original lines.
+* @param  {string[]} b - The changed lines.
+* @return {object[]} The edits, as returned by diffLines.
+*/
+function diffMiddleLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const v = new Int32Array(2 * max + 2);
+    const trace = [];
+
+    let d;
+    for (d = 0; d <= max; ++d) {
+        trace.push(v.slice());
+        let done = false;
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[max + k - 1] < v[max + k + 1])) ? v[max + k + 1] : v[max + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                ++x;
+                ++y;
+            }
+            v[max + k] = x;
+            if (x >= n && y >= m) {
+                done = true;
+                break;
+            }
+        }
+        if (done) {
+            break;
+        }
+    }
+
+    // Walk back through the trace to find the edits that lead to the end of both arrays.
+    const edits = [];
+    let x = n;
+    let y = m;
+    for (; d >= 0; --d) {
+        const previous = trace[d];
+        const k = x - y;
+        const previousK = (k === -d || (k !== d && previous[max + k - 1] < previous[max + k + 1])) ? k + 1 : k - 1;
+        const previousX = previous[max + previousK];
+        const previousY = previousX - previousK;
+        while (x > previousX && y > previousY) {
+            --x;
+            --y;
+            edits.push({ type: ' ', line: a[x], oldLine: x, newLine: y });
+        }
+        if (d > 0) {
+            if (x === previousX) {
+                edits.push({ type: '+', line: b[previousY], oldLine: previousX, newLine: previousY });
+            } else {
+                edits.push({ type: '-', line: a[previousX], oldLine: previousX, newLine: previousY });
+            }
+        }
+        x = previousX;
+        y = previousY;
+    }
+    return edits.reverse();
+}
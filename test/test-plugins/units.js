@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+* A plugin documenting the x-units and x-enumNames keywords, used to test the plugin support.
+*/
+module.exports = {
+    name: 'units',
+
+    getPropertyBullets: function (schema) {
+        if (schema['x-units'] === undefined) {
+            return undefined;
+        }
+        return [{ label: 'Units', value: schema['x-units'] }];
+    },
+
+    getEnumNames: function (schema) {
+        return schema['x-enumNames'];
+    }
+};
@@ -1,9 +1,11 @@
 'use strict';
-/* global describe, it */
+/* global describe, it, before */
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const assert = require('assert');
+const wetzel = require('../index');
+const unitsPlugin = require('./test-plugins/units');
 
 const WETZEL_BIN = 'node ./bin/wetzel.js';
 const SCHEMA_PREFIX = 'test/test-schemas/';
@@ -40,7 +42,10 @@ describe('wetzel', function () {
         for (let i = 0; i < numSchemas; ++i) {
             const schema = index.schemas[i];
             for (const option in index.options) {
-                if (index.options.hasOwnProperty(option)) {
+                // An option is either the command-line options, or an object with the options and the names of the schemas to test them with.
+                const optionSchemas = index.options[option].schemas;
+                if (index.options.hasOwnProperty(option) && (!optionSchemas || optionSchemas.indexOf(schema.name) !== -1)) {
+                    const commandOptions = (typeof index.options[option] === 'string') ? index.options[option] : index.options[option].options;
                     const names = option.split(',');
                     const outputName = `${schema.name  }-${  names[0]}`;
                     const outputPathName = path.join(OUT_PREFIX, outputName);
@@ -52,7 +57,7 @@ describe('wetzel', function () {
                     const embedGoldenPathName = path.join(GOLDEN_PREFIX, embedOutputName);
 
                     it(`should generate ${  outputName}`, function (done) {
-                        const options = index.options[option].replace('{EMBED}', embedOutputPathName);
+                        const options = commandOptions.replace('{EMBED}', embedOutputPathName);
                         const cmd = `${WETZEL_BIN} ${options} ${ignore} ${inputPathName} > ${outputPathName}`;
                         exec(cmd, (error) => {
                             if (error) {
@@ -85,4 +90,978 @@ describe('wetzel', function () {
             }
         }
     });
+
+    describe('document model', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'example/example.schema.json');
+        const model = wetzel.buildDocumentModel({
+            schema: JSON.parse(fs.readFileSync(inputPathName)),
+            fileName: 'example.schema.json',
+            searchPath: ['', path.dirname(inputPathName)]
+        });
+
+        it('should list the types and the table of contents', function () {
+            assert.strictEqual(model.title, 'example');
+            assert.deepStrictEqual(model.warnings, []);
+            assert.deepStrictEqual(model.types.map(type => type.title), ['example']);
+            assert.deepStrictEqual(model.toc, [{ title: 'example', typeName: 'example', root: true, children: [] }]);
+        });
+
+        it('should describe properties, constraints and enums', function () {
+            const type = model.types[0];
+            assert.strictEqual(type.additionalProperties, false);
+            assert.deepStrictEqual(type.properties.map(property => property.name), ['byteOffset', 'type']);
+
+            const byteOffset = type.properties[0];
+            assert.strictEqual(byteOffset.type, 'integer');
+            assert.strictEqual(byteOffset.required, false);
+            assert.strictEqual(byteOffset.default, 0);
+            assert.deepStrictEqual(byteOffset.minimum, { value: 0, exclusive: false });
+
+            const typeProperty = type.properties[1];
+            assert.strictEqual(typeProperty.required, true);
+            assert.deepStrictEqual(typeProperty.enum.map(value => value.value), ['SCALAR', 'VEC2', 'VEC3', 'VEC4', 'MAT2', 'MAT3', 'MAT4']);
+        });
+
+        it('should render the same document as generateMarkdown', function () {
+            const goldenText = fs.readFileSync(path.join(GOLDEN_PREFIX, 'example-simple.md')).toString();
+            assert.strictEqual(wetzel.renderDocumentModel(model, { writeTOC: true, headerLevel: 1 }), goldenText);
+        });
+
+        it('should not carry settings over from a previous run', function () {
+            const goldenText = fs.readFileSync(path.join(GOLDEN_PREFIX, 'example-simple.md')).toString();
+            const adoc = wetzel.renderDocumentModel(model, { writeTOC: true, headerLevel: 1, styleMode: 'AsciiDoctor', checkmark: 'icon:check[]', mustKeyword: '**MUST**' });
+            assert.notStrictEqual(adoc.indexOf('icon:check[]'), -1);
+            assert.strictEqual(wetzel.renderDocumentModel(model, { writeTOC: true, headerLevel: 1 }), goldenText);
+        });
+
+        it('should let plugins describe types and properties', function () {
+            const pluginModel = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'example.schema.json',
+                searchPath: ['', path.dirname(inputPathName)],
+                plugins: [unitsPlugin, {
+                    getTypeDescription: () => 'Overridden description.',
+                    getTypeBullets: schema => [{ label: 'Title', value: schema.title }]
+                }]
+            });
+            const type = pluginModel.types[0];
+            assert.strictEqual(type.description, 'Overridden description.');
+            assert.deepStrictEqual(type.bullets, [{ label: 'Title', value: 'example' }]);
+            assert.deepStrictEqual(type.properties[0].bullets, [{ label: 'Units', value: 'bytes' }]);
+            assert.strictEqual(type.properties[1].enum[0].description, 'Scalar');
+        });
+    });
+
+    describe('split output', function () {
+        const index = JSON.parse(fs.readFileSync(path.join(SCHEMA_PREFIX, 'index.json')));
+        const numSchemas = index.schemas.length;
+
+        for (let i = 0; i < numSchemas; ++i) {
+            const schema = index.schemas[i];
+            for (const option in index.splitOptions) {
+                // Each output mode is tested with some of the schemas, and Markdown with all of them.
+                if (index.splitOptions.hasOwnProperty(option) && index.splitOptions[option].schemas.indexOf(schema.name) !== -1) {
+                    const outputName = `${schema.name  }-${  option}`;
+                    const outputPathName = path.join(OUT_PREFIX, outputName);
+                    const goldenPathName = path.join(GOLDEN_PREFIX, outputName);
+                    const inputPathName = path.join(SCHEMA_PREFIX, schema.path);
+                    const ignore = schema.ignore ? (`-i "${  schema.ignore  }"`) : '';
+
+                    it(`should generate ${  outputName}`, function (done) {
+                        const cmd = `${WETZEL_BIN} ${index.splitOptions[option].options} ${ignore} -o ${outputPathName} ${inputPathName}`;
+                        exec(cmd, (error, stdout) => {
+                            if (error) {
+                                console.error(`** ERROR ** ${  error}`);
+                                done(error);
+                                return;
+                            }
+                            assert.strictEqual(stdout, '');
+                            done();
+                        });
+                    });
+
+                    it(`should match golden ${  outputName}`, function () {
+                        const goldenFiles = fs.readdirSync(goldenPathName).sort();
+                        assert.deepStrictEqual(fs.readdirSync(outputPathName).sort(), goldenFiles);
+                        for (const file of goldenFiles) {
+                            const outputText = fs.readFileSync(path.join(outputPathName, file)).toString();
+                            const goldenText = fs.readFileSync(path.join(goldenPathName, file)).toString();
+                            assert.strictEqual(outputText, goldenText, file);
+                        }
+                    });
+                }
+            }
+        }
+
+        it('should not overwrite the index with a type named index', function (done) {
+            const outputPathName = path.join(OUT_PREFIX, 'split-index');
+            fs.rmSync(outputPathName, { recursive: true, force: true });
+            exec(`${WETZEL_BIN} -o ${outputPathName} ${path.join(SCHEMA_PREFIX, 'split/index.schema.json')}`, (error) => {
+                assert.strictEqual(error, null);
+                assert.deepStrictEqual(fs.readdirSync(outputPathName).sort(), ['entry.md', 'index-2.md', 'index.md']);
+                const index = fs.readFileSync(path.join(outputPathName, 'index.md')).toString();
+                assert.notStrictEqual(index.indexOf('[`index`](index-2.md#reference-index) (root object)'), -1);
+                assert.notStrictEqual(fs.readFileSync(path.join(outputPathName, 'index-2.md')).toString().indexOf('# index'), -1);
+                done();
+            });
+        });
+    });
+
+    describe('configuration file', function () {
+        const configDirectory = path.join(OUT_PREFIX, 'config');
+        const goldens = {
+            'config-example-simple.md': 'example-simple.md',
+            'config-nested-linked.adoc': 'nested-linked.adoc'
+        };
+
+        before(function () {
+            // The schemas are given relative to the directory of the configuration file, and so are the outputs.
+            const schemaPrefix = path.relative(configDirectory, SCHEMA_PREFIX);
+            const config = {
+                jobs: [{
+                    schema: path.join(schemaPrefix, 'example/example.schema.json'),
+                    output: 'config-example-simple.md'
+                }, {
+                    schema: path.join(schemaPrefix, 'nested/nestedTest.schema.json'),
+                    output: 'config-nested-linked.adoc',
+                    outputMode: 'a',
+                    headerLevel: 2,
+                    autoLink: 'cqo',
+                    schemaPath: 'schema',
+                    checkmark: 'icon:check[]',
+                    ignorableTypes: ['nestedid.schema.json', 'nestedchildofrootproperty.schema.json', 'nestedtestproperty.schema.json']
+                }]
+            };
+            fs.mkdirSync(configDirectory, { recursive: true });
+            fs.writeFileSync(path.join(configDirectory, 'wetzel.config.json'), JSON.stringify(config, null, 4));
+        });
+
+        function checkOutputs() {
+            for (const outputName in goldens) {
+                if (goldens.hasOwnProperty(outputName)) {
+                    const outputText = fs.readFileSync(path.join(configDirectory, outputName)).toString();
+                    const goldenText = fs.readFileSync(path.join(GOLDEN_PREFIX, goldens[outputName])).toString();
+                    assert.strictEqual(outputText, goldenText, outputName);
+                    fs.unlinkSync(path.join(configDirectory, outputName));
+                }
+            }
+        }
+
+        it('should run all jobs of the given configuration file', function (done) {
+            exec(`${WETZEL_BIN} --config ${path.join(configDirectory, 'wetzel.config.json')}`, (error, stdout) => {
+                if (error) {
+                    done(error);
+                    return;
+                }
+                assert.strictEqual(stdout, '');
+                checkOutputs();
+                done();
+            });
+        });
+
+        it('should discover the configuration file in the working directory', function (done) {
+            exec(`node ${path.resolve('bin/wetzel.js')}`, { cwd: configDirectory }, (error, stdout) => {
+                if (error) {
+                    done(error);
+                    return;
+                }
+                assert.strictEqual(stdout, '');
+                checkOutputs();
+                done();
+            });
+        });
+    });
+
+    describe('schema catalog', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'catalog/schemas/root.schema.json');
+        const catalogPathName = path.join(SCHEMA_PREFIX, 'catalog/catalog.json');
+
+        it('should resolve $id and absolute URI references through the catalog', function (done) {
+            exec(`${WETZEL_BIN} -p schema --catalog ${catalogPathName} ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'catalog-simple.md')).toString());
+                done();
+            });
+        });
+
+        it('should fail for references that can only be found through the catalog', function (done) {
+            exec(`${WETZEL_BIN} ${inputPathName}`, (error, stdout, stderr) => {
+                assert.notStrictEqual(error, null);
+                assert.strictEqual(stdout, '');
+                assert.notStrictEqual(stderr.indexOf('Unable to find $ref'), -1, stderr);
+                done();
+            });
+        });
+    });
+
+    describe('definitions', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'definitions/material.schema.json');
+
+        it('should document every entry of $defs and definitions', function (done) {
+            exec(`${WETZEL_BIN} -p schema ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'definitions-simple.md')).toString());
+                done();
+            });
+        });
+
+        it('should list definitions below the schema that contains them', function () {
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'material.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            const getEntries = entries => entries.map(entry => [entry.title, entry.typeName, getEntries(entry.children)]);
+            assert.deepStrictEqual(getEntries(model.toc), [['material', 'material', [
+                ['Alpha Mode', 'alphaMode', []],
+                ['Texture Info', 'textureInfo', [['transform', 'textureInfo.transform', []]]],
+                ['color', 'color', []],
+                ['extras', 'extras', []]
+            ]]]);
+            assert.deepStrictEqual(model.warnings, []);
+        });
+    });
+
+    describe('recursive schemas', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'recursive/tree.schema.json');
+
+        it('should document recursive references as links to the known type', function (done) {
+            exec(`${WETZEL_BIN} -p schema ${inputPathName}`, { timeout: 10000 }, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'recursive-simple.md')).toString());
+                done();
+            });
+        });
+
+        it('should record the parents and children of recursive types', function () {
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'tree.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            const types = {};
+            for (const type of model.types) {
+                types[type.title] = type;
+            }
+            assert.deepStrictEqual(types.tree.parents, ['node']);
+            assert.deepStrictEqual(types.node.parents, ['tree', 'node']);
+            assert.deepStrictEqual(types.node.children, ['node', 'tree']);
+            assert.deepStrictEqual(types.expression.parents, ['tree', 'expression']);
+
+            const children = types.node.properties[0];
+            assert.strictEqual(children.type, 'node[]');
+            assert.strictEqual(children.link, 'node');
+        });
+    });
+
+    describe('duplicate titles', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'duplicates/material.schema.json');
+
+        it('should document every schema that shares a title', function (done) {
+            exec(`${WETZEL_BIN} -p schema ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'duplicates-material.md')).toString());
+                done();
+            });
+        });
+
+        it('should give the schemas unique titles and type names, and warn', function () {
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'material.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            assert.deepStrictEqual(model.types.map(type => [type.title, type.typeName, type.fileName, type.pointer]), [
+                ['material', undefined, 'material.schema.json', ''],
+                ['occlusion', 'occlusion', 'occlusion.schema.json', ''],
+                ['Texture Info', 'textureInfo', 'textureInfo.schema.json', ''],
+                ['Texture Info (normalTextureInfo.schema.json)', 'normalTextureInfo', 'normalTextureInfo.schema.json', ''],
+                ['Texture Info (occlusion.schema.json#/$defs/textureInfo)', 'textureInfo-2', 'occlusion.schema.json', '/$defs/textureInfo']
+            ]);
+            assert.deepStrictEqual(model.warnings.map(warning => [warning.fileName, warning.pointer]), [
+                ['normalTextureInfo.schema.json', '/title'],
+                ['occlusion.schema.json', '/$defs/textureInfo/title']
+            ]);
+        });
+    });
+
+    describe('allOf', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'allof/circle.schema.json');
+
+        it('should merge the keywords of the bases', function (done) {
+            exec(`${WETZEL_BIN} -p schema ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'allof-circle.md')).toString());
+                done();
+            });
+        });
+
+        it('should keep the tighter constraints, and warn about incompatible ones', function () {
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'circle.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            const circle = model.types[0];
+            assert.deepStrictEqual(circle.properties.map(property => [property.name, property.required]), [
+                ['kind', true], ['size', true], ['name', false], ['layer', true]
+            ]);
+            assert.deepStrictEqual(circle.properties[0].enum.map(value => value.value), ['circle', 'square']);
+            assert.deepStrictEqual([circle.properties[1].minimum.value, circle.properties[1].maximum.value], [1, 100]);
+            assert.deepStrictEqual(model.warnings.map(warning => `${warning.fileName}#${warning.pointer}`), [
+                'circle.schema.json#/allOf/0/properties/name/pattern',
+                'circle.schema.json#/allOf/1/properties/layer/type',
+                'circle.schema.json#/allOf/1/properties/layer/enum'
+            ]);
+        });
+    });
+
+    describe('inheritance', function () {
+        it('should list the base types and where inherited properties come from', function () {
+            const inputPathName = path.join(SCHEMA_PREFIX, 'nested/nestedTest.schema.json');
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'nestedTest.schema.json',
+                searchPath: ['', path.dirname(inputPathName)],
+                ignorableTypes: ['nestedchildofrootproperty.schema.json', 'nestedtestproperty.schema.json']
+            });
+            const material = model.types.find(type => type.title === 'Material');
+            assert.deepStrictEqual(material.extends, [{ title: 'nestedTest Child of Root Property', typeName: undefined }]);
+            assert.deepStrictEqual(material.properties.slice(0, 4).map(property => [property.name, property.inheritedFrom]), [
+                ['name', { title: 'nestedTest Child of Root Property', typeName: undefined }],
+                ['extensions', { title: 'nestedTest Property', typeName: undefined }],
+                ['extras', { title: 'nestedTest Property', typeName: undefined }],
+                ['pbrMetallicRoughness', undefined]
+            ]);
+        });
+
+        it('should merge and list every base of a draft-03 extends array', function () {
+            const inputPathName = path.join(SCHEMA_PREFIX, 'extends/multiple.schema.json');
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'multiple.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            assert.deepStrictEqual(model.warnings, []);
+            const type = model.types.find(currentType => currentType.title === 'multiple');
+            assert.deepStrictEqual(type.extends.map(base => base.title), ['base', 'named']);
+            assert.deepStrictEqual(type.properties.map(property => [property.name, property.required, property.type, property.description]), [
+                ['size', true, 'number', 'The size.'],
+                ['id', true, 'integer', 'The identifier.'],
+                ['name', true, 'string', 'The name.'],
+                ['tags', false, 'string[]', 'The tags.']
+            ]);
+        });
+
+        it('should group inherited properties into a collapsible table', function (done) {
+            exec(`${WETZEL_BIN} --groupInherited ${path.join(SCHEMA_PREFIX, 'extends/multiple.schema.json')}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'inheritance-multiple.md')).toString());
+                done();
+            });
+        });
+    });
+
+    describe('oneOf and anyOf variants', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'variants/view.schema.json');
+
+        it('should document each variant of a polymorphic property', function (done) {
+            exec(`${WETZEL_BIN} -a=cqo -p schema ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'variants-view.md')).toString());
+                done();
+            });
+        });
+
+        it('should model the variants, but not enums and constraints given with anyOf and oneOf', function () {
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'view.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            const view = model.types.find(type => type.title === 'view');
+            assert.deepStrictEqual(view.properties.map(property => property.type), ['string | camera', 'number | number[3]', 'string']);
+
+            const camera = view.properties[0];
+            assert.deepStrictEqual(camera.variants.map(variant => [variant.type, variant.link, variant.minLength]), [
+                ['string', undefined, 1],
+                ['camera', 'camera', undefined]
+            ]);
+            assert.strictEqual(camera.enum, undefined);
+            assert.strictEqual(view.properties[2].variants, undefined);
+            assert.deepStrictEqual(view.properties[2].enum.map(value => value.value), ['perspective', 'orthographic']);
+        });
+    });
+
+    describe('conditional constraints', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'conditional/camera.schema.json');
+
+        it('should document the properties that are only required in some cases', function (done) {
+            exec(`${WETZEL_BIN} -a=cqo -p schema ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'conditional-camera.md')).toString());
+                done();
+            });
+        });
+
+        it('should model the conditions of a type and of its base types', function () {
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'camera.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            const camera = model.types.find(type => type.title === 'camera');
+            assert.deepStrictEqual(camera.conditions, [
+                { clauses: [{ property: 'type', values: ['perspective'] }], negated: false, required: ['perspective'], constraints: [] },
+                { clauses: [{ property: 'type', values: ['perspective'] }], negated: true, required: ['orthographic'], constraints: [] },
+                { clauses: [{ property: 'mode', values: ['finite', 'clamped'] }], negated: false, required: ['zfar'], constraints: [] },
+                { clauses: [{ property: 'zfar', present: true }], negated: false, required: ['znear'], constraints: [] },
+                { clauses: [{ property: 'name', present: true }], negated: false, required: ['label'], constraints: [] }
+            ]);
+            const requiredWhen = {};
+            for (const property of camera.properties) {
+                requiredWhen[property.name] = property.requiredWhen.length;
+            }
+            assert.deepStrictEqual(requiredWhen, { type: 0, perspective: 1, orthographic: 1, name: 0, label: 1, mode: 0, znear: 1, zfar: 1 });
+            assert.deepStrictEqual(model.warnings, []);
+        });
+
+        it('should document the other constraints of conditions, and warn about the ones that are not documented', function (done) {
+            const lightPathName = path.join(SCHEMA_PREFIX, 'conditional/light.schema.json');
+            exec(`${WETZEL_BIN} -a=cqo -p schema ${lightPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'conditional-light.md')).toString());
+                done();
+            });
+        });
+
+        it('should model the constraints of conditions', function () {
+            const lightPathName = path.join(SCHEMA_PREFIX, 'conditional/light.schema.json');
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(lightPathName)),
+                fileName: 'light.schema.json',
+                searchPath: ['', path.dirname(lightPathName)]
+            });
+            const conditions = model.types[0].conditions;
+            assert.deepStrictEqual(conditions.map(condition => condition.constraints.map(constraint => constraint.property)), [
+                ['innerConeAngle', 'outerConeAngle'], ['range', 'shadow'], ['name']
+            ]);
+            assert.deepStrictEqual([conditions[0].constraints[1].minimum, conditions[0].constraints[1].maximum], [
+                { value: 0, exclusive: true }, { value: 1.5708, exclusive: false }
+            ]);
+            assert.deepStrictEqual(conditions[1].constraints.map(constraint => [constraint.type, constraint.values]), [
+                [undefined, [0]], ['string', ['none', 'hard']]
+            ]);
+            assert.deepStrictEqual(model.warnings.map(warning => `${warning.fileName}#${warning.pointer}: ${warning.message}`), [
+                'light.schema.json#: The conditional keywords else/not are not documented.'
+            ]);
+        });
+    });
+
+    describe('pattern properties and property names', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'patterns/mesh.schema.json');
+
+        it('should document the patterns and restrictions of property names', function (done) {
+            exec(`${WETZEL_BIN} -a=cqo -p schema ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'patterns-mesh.md')).toString());
+                done();
+            });
+        });
+
+        it('should model the pattern properties of types and properties', function () {
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'mesh.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            const extensions = model.types.find(type => type.title === 'extensions');
+            assert.deepStrictEqual(extensions.patternProperties.map(property => [property.name, property.type]), [
+                ['^(KHR|EXT)_[A-Za-z0-9_]+$', 'object'],
+                ['^[A-Z0-9]+_[A-Za-z0-9_]+$', 'object']
+            ]);
+            assert.strictEqual(extensions.propertyNames.pattern, '^[A-Z0-9]+_[A-Za-z0-9_]+$');
+            assert.strictEqual(extensions.propertyNames.maxLength, 64);
+
+            const mesh = model.types.find(type => type.title === 'mesh');
+            const attributes = mesh.properties[0];
+            assert.deepStrictEqual(attributes.patternProperties.map(property => [property.name, property.minimum.value]), [
+                ['^TEXCOORD_\\d+$', 0],
+                ['^_[A-Z0-9_]+$', 0]
+            ]);
+            assert.strictEqual(attributes.propertyNames, undefined);
+            assert.deepStrictEqual(mesh.properties[1].propertyNames.enum.map(value => value.value), ['en', 'de', 'fr']);
+            // The patterns of a property whose schema is a type are documented with the type.
+            assert.strictEqual(mesh.properties[2].patternProperties, undefined);
+        });
+    });
+
+    describe('anchors and dynamic references', function () {
+        it('should resolve $anchor and $dynamicRef against the dynamic scope', function (done) {
+            exec(`${WETZEL_BIN} -a=cqo -p schema ${path.join(SCHEMA_PREFIX, 'dynamic/labeledTree.schema.json')}`, { timeout: 10000 }, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'dynamic-labeledTree.md')).toString());
+                done();
+            });
+        });
+
+        it('should resolve $recursiveRef against the dynamic scope', function (done) {
+            exec(`${WETZEL_BIN} -a=cqo -p schema ${path.join(SCHEMA_PREFIX, 'dynamic/sortedList.schema.json')}`, { timeout: 10000 }, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'dynamic-sortedList.md')).toString());
+                done();
+            });
+        });
+
+        it('should resolve to the base type when it is documented by itself', function () {
+            const inputPathName = path.join(SCHEMA_PREFIX, 'dynamic/tree.schema.json');
+            const model = wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(inputPathName)),
+                fileName: 'tree.schema.json',
+                searchPath: ['', path.dirname(inputPathName)]
+            });
+            assert.deepStrictEqual(model.warnings, []);
+            assert.strictEqual(model.types[0].properties[1].type, 'tree[]');
+            assert.strictEqual(model.types[0].properties[1].link, 'tree');
+        });
+    });
+
+    describe('dialects', function () {
+        const dialectsPath = path.join(SCHEMA_PREFIX, 'dialects');
+
+        function buildModel(name, dialect) {
+            return wetzel.buildDocumentModel({
+                schema: JSON.parse(fs.readFileSync(path.join(dialectsPath, name))),
+                fileName: name,
+                searchPath: ['', dialectsPath],
+                dialect: dialect
+            });
+        }
+
+        function getRequired(model, title) {
+            const type = model.types.find(currentType => currentType.title === title);
+            return type.properties.map(property => [property.name, property.required]);
+        }
+
+        it('should detect draft-03 from its keywords when $schema is missing', function () {
+            const model = buildModel('legacy.schema.json');
+            assert.deepStrictEqual(model.warnings, [{
+                message: 'No JSON Schema version ($schema) given.',
+                fileName: 'legacy.schema.json',
+                filePath: path.resolve(dialectsPath, 'legacy.schema.json'),
+                pointer: ''
+            }]);
+            assert.deepStrictEqual(getRequired(model, 'legacy'), [['name', true], ['id', true]]);
+        });
+
+        it('should use the dialect option when $schema is missing', function () {
+            const model = buildModel('legacy.schema.json', 'draft-03');
+            assert.deepStrictEqual(model.warnings, []);
+            assert.deepStrictEqual(getRequired(model, 'legacy'), [['name', true], ['id', true]]);
+        });
+
+        it('should reject unknown dialects', function () {
+            assert.throws(() => buildModel('legacy.schema.json', 'draft-05'), /Unknown dialect draft-05/);
+        });
+
+        it('should handle draft-03 subschemas of a later draft', function () {
+            const model = buildModel('modern.schema.json');
+            assert.deepStrictEqual(model.warnings, []);
+            assert.deepStrictEqual(getRequired(model, 'item'), [['count', true], ['note', false], ['id', true]]);
+        });
+
+        it('should handle subschemas of a later draft in draft-03', function () {
+            const model = buildModel('old.schema.json');
+            assert.deepStrictEqual(model.warnings, []);
+            assert.deepStrictEqual(getRequired(model, 'entry'), [['key', true], ['value', false], ['id', true]]);
+        });
+
+        it('should accept the --dialect option', function (done) {
+            exec(`${WETZEL_BIN} --dialect draft-03 ${path.join(dialectsPath, 'legacy.schema.json')}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout.indexOf('WETZEL_WARNING'), -1);
+                assert.notStrictEqual(stdout.indexOf('**id**'), -1);
+                done();
+            });
+        });
+    });
+
+    describe('YAML input', function () {
+        const yamlPath = path.join(SCHEMA_PREFIX, 'yaml');
+
+        it('should document YAML schemas that reference JSON and YAML schemas', function (done) {
+            exec(`${WETZEL_BIN} -a=cqo -p schema ${path.join(yamlPath, 'camera.schema.yaml')}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'yaml-camera.md')).toString());
+                done();
+            });
+        });
+
+        it('should report the file and line of YAML errors in referenced schemas', function (done) {
+            exec(`${WETZEL_BIN} ${path.join(yamlPath, 'broken-ref.schema.json')}`, (error, stdout, stderr) => {
+                assert.notStrictEqual(error, null);
+                assert.strictEqual(stdout, '');
+                assert.notStrictEqual(stderr.indexOf(`Unable to parse ${path.join(yamlPath, 'broken.schema.yaml')}:6: bad indentation`), -1, stderr);
+                done();
+            });
+        });
+
+        it('should report the file and line of JSON errors', function (done) {
+            exec(`${WETZEL_BIN} ${path.join(yamlPath, 'broken.schema.json')}`, (error, stdout, stderr) => {
+                assert.notStrictEqual(error, null);
+                assert.strictEqual(stdout, '');
+                assert.notStrictEqual(stderr.indexOf(`Unable to parse ${path.join(yamlPath, 'broken.schema.json')}:5: `), -1, stderr);
+                done();
+            });
+        });
+    });
+
+    describe('multiple root schemas', function () {
+        const multiplePath = path.join(SCHEMA_PREFIX, 'multiple');
+
+        it('should document several root schemas in one document', function (done) {
+            const inputPathNames = `${path.join(multiplePath, 'asset.schema.json')} ${path.join(multiplePath, 'scene.schema.json')}`;
+            exec(`${WETZEL_BIN} -p schema ${inputPathNames}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'multiple-roots.md')).toString());
+                done();
+            });
+        });
+
+        it('should accept globs as input', function (done) {
+            const inputPathNames = `'${path.join(multiplePath, 'a*.schema.json')}' '${path.join(multiplePath, 's????.schema.json')}'`;
+            exec(`${WETZEL_BIN} -p schema ${inputPathNames}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'multiple-roots.md')).toString());
+                done();
+            });
+        });
+
+        it('should document every schema of a directory once', function (done) {
+            exec(`${WETZEL_BIN} ${multiplePath}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                const headers = stdout.split('\n').filter(line => line.startsWith('## '));
+                assert.deepStrictEqual(headers, ['## asset', '## metadata', '## node', '## scene']);
+                assert.notStrictEqual(stdout.indexOf('* [`metadata`](#reference-metadata) (root object)\n'), -1, stdout);
+                done();
+            });
+        });
+
+        it('should fail for a glob without matches', function (done) {
+            exec(`${WETZEL_BIN} '${path.join(multiplePath, '*.schema.yaml')}'`, (error, stdout, stderr) => {
+                assert.notStrictEqual(error, null);
+                assert.strictEqual(stdout, '');
+                assert.notStrictEqual(stderr.indexOf(`No schema files found in ${path.join(multiplePath, '*.schema.yaml')}`), -1, stderr);
+                done();
+            });
+        });
+
+        it('should share the types of the roots', function () {
+            const model = wetzel.buildDocumentModel({
+                schemas: ['asset', 'scene'].map(name => ({
+                    schema: JSON.parse(fs.readFileSync(path.join(multiplePath, `${name}.schema.json`))),
+                    fileName: `${name}.schema.json`,
+                    searchPath: ['', multiplePath]
+                }))
+            });
+            const getEntries = entries => entries.map(entry => [entry.title, entry.root, getEntries(entry.children)]);
+            assert.deepStrictEqual(getEntries(model.toc), [
+                ['asset', true, [['metadata', false, []]]],
+                ['scene', true, [['metadata', false, []], ['node', false, []]]]
+            ]);
+            assert.deepStrictEqual(model.types.map(type => type.title), ['asset', 'metadata', 'node', 'scene']);
+            assert.deepStrictEqual(model.types[1].parents, ['asset', 'scene']);
+            assert.strictEqual(model.title, 'asset, scene');
+            assert.deepStrictEqual(model.warnings, []);
+        });
+    });
+
+    describe('HTML output', function () {
+        it('should escape titles and property names', function (done) {
+            const filterPathName = path.join(SCHEMA_PREFIX, 'html/filter.schema.json');
+            exec(`${WETZEL_BIN} -m=html -a=cqo -p schema ${filterPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, fs.readFileSync(path.join(GOLDEN_PREFIX, 'html-filter.html')).toString());
+                done();
+            });
+        });
+    });
+
+    describe('lint mode', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'lint/library.schema.json');
+        const lintPath = path.join(SCHEMA_PREFIX, 'lint');
+
+        it('should report documentation problems with their file and JSON pointer, and fail', function (done) {
+            exec(`${WETZEL_BIN} lint ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error.code, 1);
+                assert.strictEqual(stdout, [
+                    `${path.join(lintPath, 'book.schema.json')}#/properties/format: Enum values "paper", "ebook" have no display names. (missing-enum-name)`,
+                    `${path.join(lintPath, 'book.schema.json')}#/properties/format/default: Default value "audio" is not one of the enum values. (invalid-default)`,
+                    `${path.join(lintPath, 'book.schema.json')}#/properties/pages/default: Default value 0 is below the minimum 1. (invalid-default)`,
+                    `${path.join(lintPath, 'library.schema.json')}#/properties/name: Property "name" has no description. (missing-description)`,
+                    `${path.join(lintPath, 'book.schema.json')}#/title: Title "book" is also used in shelf.schema.json. (duplicate-title)`,
+                    `${path.join(lintPath, 'shelf.schema.json')}#/$defs/dummy/title: Title "book" is also used in book.schema.json. (duplicate-title)`,
+                    `${path.join(lintPath, 'orphan.schema.json')}#: Schema file is not reached from the root schema. (unreachable-file)`,
+                    ''
+                ].join('\n'));
+                done();
+            });
+        });
+
+        it('should print the problems as JSON', function (done) {
+            exec(`${WETZEL_BIN} lint --format json ${path.join(SCHEMA_PREFIX, 'strict/strict.schema.json')}`, (error, stdout) => {
+                assert.strictEqual(error.code, 1);
+                const problems = JSON.parse(stdout);
+                assert.deepStrictEqual(problems.map(problem => problem.rule), [
+                    'warning', 'missing-title', 'warning', 'undefined-required', 'undefined-required', 'missing-description', 'missing-description'
+                ]);
+                assert.deepStrictEqual(problems[3], {
+                    rule: 'undefined-required',
+                    message: 'Required property "missing" is not defined.',
+                    file: path.join(SCHEMA_PREFIX, 'strict/child.schema.json'),
+                    pointer: '/required'
+                });
+                assert.deepStrictEqual(problems[1], {
+                    rule: 'missing-title',
+                    message: 'Title not defined.',
+                    file: path.join(SCHEMA_PREFIX, 'strict/strict.schema.json'),
+                    pointer: ''
+                });
+                done();
+            });
+        });
+
+        it('should succeed without problems', function (done) {
+            exec(`${WETZEL_BIN} lint --format json ${path.join(SCHEMA_PREFIX, 'multiple')}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.deepStrictEqual(JSON.parse(stdout), []);
+                done();
+            });
+        });
+    });
+
+    describe('check mode', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'example/example.schema.json');
+
+        it('should accept documents that are up to date', function (done) {
+            const options = `-n -a=cqo -m=a -p schema --check=${GOLDEN_PREFIX}example-embed.adoc --checkEmbed=${GOLDEN_PREFIX}example-embedJSON.adoc`;
+            exec(`${WETZEL_BIN} ${options} ${inputPathName}`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, '');
+                done();
+            });
+        });
+
+        it('should print a diff and fail for a stale document', function (done) {
+            const stalePathName = path.join(OUT_PREFIX, 'example-stale.md');
+            const goldenText = fs.readFileSync(path.join(GOLDEN_PREFIX, 'example-simple.md')).toString();
+            fs.writeFileSync(stalePathName, goldenText.replace('Example description.', 'Old description.'));
+            exec(`${WETZEL_BIN} --check=${stalePathName} ${inputPathName}`, (error, stdout, stderr) => {
+                assert.strictEqual(error.code, 1);
+                assert.ok(stdout.startsWith(`--- ${stalePathName}\n+++ ${stalePathName} (generated)\n@@ `), stdout);
+                assert.notStrictEqual(stdout.indexOf('\n-Old description.\n+Example description.\n'), -1, stdout);
+                assert.strictEqual(stderr, `${stalePathName} is out of date.\n`);
+                assert.strictEqual(fs.readFileSync(stalePathName).toString().indexOf('Example description.'), -1);
+                done();
+            });
+        });
+
+        it('should take a schema after a bare --check as the input', function (done) {
+            exec(`${WETZEL_BIN} --check ${inputPathName} --output ${GOLDEN_PREFIX}example-simple.md`, (error, stdout) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stdout, '');
+                done();
+            });
+        });
+
+        it('should fail when there is nothing to compare with', function (done) {
+            exec(`${WETZEL_BIN} ${inputPathName} --check`, (error, stdout, stderr) => {
+                assert.strictEqual(error.code, 1);
+                assert.strictEqual(stdout, '');
+                assert.notStrictEqual(stderr.indexOf('requires a file to compare with'), -1, stderr);
+                done();
+            });
+        });
+
+        it('should not take the argument after a bare --check as the file to compare with', function (done) {
+            const outputPathName = path.join(OUT_PREFIX, 'example-check.json');
+            exec(`${WETZEL_BIN} --check ${outputPathName} ${inputPathName}`, (error, stdout, stderr) => {
+                assert.strictEqual(error.code, 1);
+                assert.strictEqual(stdout, '');
+                assert.strictEqual(stderr, `Checking ${outputPathName}, ${inputPathName} requires a file to compare with, given by --check=<file>, --output, -e, -o or a config file.\n`);
+                done();
+            });
+        });
+
+        it('should fail for a schema after a bare --check without a file to compare with', function (done) {
+            exec(`${WETZEL_BIN} --check ${inputPathName}`, (error, stdout, stderr) => {
+                assert.strictEqual(error.code, 1);
+                assert.strictEqual(stdout, '');
+                assert.notStrictEqual(stderr.indexOf('requires a file to compare with'), -1, stderr);
+                done();
+            });
+        });
+    });
+
+    describe('strict mode', function () {
+        const inputPathName = path.join(SCHEMA_PREFIX, 'strict/strict.schema.json');
+
+        it('should report warnings with their file and JSON pointer, and fail', function (done) {
+            exec(`${WETZEL_BIN} --strict ${inputPathName}`, (error, stdout, stderr) => {
+                assert.strictEqual(error.code, 1);
+                assert.strictEqual(stderr, [
+                    'test/test-schemas/strict/strict.schema.json#/$schema: Unrecognized JSON Schema.',
+                    'test/test-schemas/strict/strict.schema.json#: Title not defined.',
+                    'test/test-schemas/strict/child.schema.json#/properties/nested/properties/a~1b/allOf/0/properties/name/type: The types "string" and "integer" are incompatible.',
+                    ''
+                ].join('\n'));
+                assert.ok(stdout.startsWith('> WETZEL_WARNING: Unrecognized JSON Schema.'), stdout);
+                assert.strictEqual(stdout.indexOf('is not defined'), -1, stdout);
+                done();
+            });
+        });
+
+        it('should only document the warnings without --strict', function (done) {
+            exec(`${WETZEL_BIN} ${inputPathName}`, (error, stdout, stderr) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stderr, '');
+                assert.ok(stdout.startsWith('> WETZEL_WARNING: Unrecognized JSON Schema.'), stdout);
+                done();
+            });
+        });
+
+        it('should tell schema files with the same name apart', function (done) {
+            const vendorPathName = path.join(SCHEMA_PREFIX, 'strict/vendor/vendor.schema.json');
+            exec(`${WETZEL_BIN} --strict ${inputPathName} ${vendorPathName}`, (error, stdout, stderr) => {
+                assert.strictEqual(error.code, 1);
+                assert.ok(stderr.endsWith([
+                    'test/test-schemas/strict/child.schema.json#/properties/nested/properties/a~1b/allOf/0/properties/name/type: The types "string" and "integer" are incompatible.',
+                    'test/test-schemas/strict/vendor/child.schema.json#/allOf/0/properties/name/type: The types "string" and "integer" are incompatible.',
+                    ''
+                ].join('\n')), stderr);
+                assert.notStrictEqual(stdout.indexOf('vendor child'), -1, stdout);
+                done();
+            });
+        });
+
+        it('should pass for schemas without problems', function (done) {
+            exec(`${WETZEL_BIN} --strict ${path.join(SCHEMA_PREFIX, 'example/example.schema.json')}`, (error, stdout, stderr) => {
+                assert.strictEqual(error, null);
+                assert.strictEqual(stderr, '');
+                assert.strictEqual(stdout.indexOf('WETZEL_WARNING'), -1);
+                done();
+            });
+        });
+    });
+
+    describe('watch mode', function () {
+        this.timeout(10000);
+
+        /**
+         * Runs wetzel in watch mode on the root schema of a directory. Each message of wetzel answers one edit,
+         * so the next edit is made after each message, and wetzel is stopped after the answer to the last edit.
+         */
+        function watch(directory, edits, callback) {
+            const child = spawn('node', ['bin/wetzel.js', '--watch', '--output', path.join(directory, 'out.md'), path.join(directory, 'root.schema.json')]);
+            const messages = [];
+            const timer = setTimeout(() => child.kill(), 8000);
+            child.stderr.on('data', (data) => {
+                for (const message of data.toString().split('\n').filter(line => line.length > 0)) {
+                    messages.push(message);
+                    if (edits.length > 0) {
+                        edits.shift()();
+                    } else {
+                        child.kill();
+                    }
+                }
+            });
+            child.on('exit', () => {
+                clearTimeout(timer);
+                callback(messages, path.join(directory, 'out.md'));
+            });
+        }
+
+        function writeSchema(directory, name, schema) {
+            fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+            fs.writeFileSync(path.join(directory, name), (typeof schema === 'string') ? schema : JSON.stringify(schema));
+        }
+
+        function getRootSchema(properties) {
+            return { $schema: 'http://json-schema.org/draft-04/schema', title: 'root', type: 'object', properties: properties };
+        }
+
+        it('should regenerate the output when a referenced schema changes, and survive a parse error', function (done) {
+            const directory = path.join(OUT_PREFIX, 'watch');
+            writeSchema(directory, 'root.schema.json', getRootSchema({ child: { $ref: 'child.schema.json' } }));
+            writeSchema(directory, 'child.schema.json', { title: 'child', type: 'object' });
+
+            watch(directory, [
+                () => writeSchema(directory, 'child.schema.json', { title: 'child', type: 'object', description: 'Changed.' }),
+                () => writeSchema(directory, 'child.schema.json', '{'),
+                () => writeSchema(directory, 'child.schema.json', { title: 'child', type: 'object' })
+            ], (messages, output) => {
+                assert.strictEqual(messages.length, 4, messages.join('\n'));
+                assert.strictEqual(messages[0], `Generated ${output}, watching for changes...`);
+                assert.strictEqual(messages[1], `Regenerated ${output}: changed child, root`);
+                assert.ok(messages[2].startsWith(`Error generating ${output}: Unable to parse ${path.join(directory, 'child.schema.json')}:1: `), messages[2]);
+                assert.strictEqual(messages[3], `Regenerated ${output}: changed child, root`);
+                assert.notStrictEqual(fs.readFileSync(output).toString().indexOf('child'), -1);
+                done();
+            });
+        });
+
+        it('should survive a broken $ref, and regenerate the output when its target is created', function (done) {
+            const directory = path.join(OUT_PREFIX, 'watch-broken');
+            fs.rmSync(directory, { recursive: true, force: true });
+            writeSchema(directory, 'root.schema.json', getRootSchema({}));
+
+            watch(directory, [
+                () => writeSchema(directory, 'root.schema.json', getRootSchema({ missing: { $ref: 'missing.schema.json' } })),
+                () => writeSchema(directory, 'missing.schema.json', { title: 'missing', type: 'object' })
+            ], (messages, output) => {
+                assert.strictEqual(messages.length, 3, messages.join('\n'));
+                assert.strictEqual(messages[0], `Generated ${output}, watching for changes...`);
+                assert.ok(messages[1].startsWith(`Error generating ${output}: `), messages[1]);
+                assert.strictEqual(messages[2], `Regenerated ${output}: changed root; added missing`);
+                done();
+            });
+        });
+
+        it('should watch schemas that are newly referenced', function (done) {
+            const directory = path.join(OUT_PREFIX, 'watch-added');
+            writeSchema(directory, 'root.schema.json', getRootSchema({}));
+            writeSchema(directory, 'other/added.schema.json', { title: 'added', type: 'object' });
+
+            watch(directory, [
+                () => writeSchema(directory, 'root.schema.json', getRootSchema({ added: { $ref: 'other/added.schema.json' } })),
+                () => writeSchema(directory, 'other/added.schema.json', { title: 'added', type: 'object', description: 'Changed.' })
+            ], (messages, output) => {
+                assert.deepStrictEqual(messages, [
+                    `Generated ${output}, watching for changes...`,
+                    `Regenerated ${output}: changed root; added added`,
+                    `Regenerated ${output}: changed added, root`
+                ]);
+                done();
+            });
+        });
+
+        it('should tell types with the same title apart', function (done) {
+            const directory = path.join(OUT_PREFIX, 'watch-duplicates');
+            writeSchema(directory, 'root.schema.json', getRootSchema({ a: { $ref: 'a/child.schema.json' }, b: { $ref: 'b/child.schema.json' } }));
+            writeSchema(directory, 'a/child.schema.json', { title: 'child', type: 'object' });
+            writeSchema(directory, 'b/child.schema.json', { title: 'child', type: 'object' });
+
+            watch(directory, [
+                () => writeSchema(directory, 'a/child.schema.json', { title: 'child', type: 'object', description: 'Changed.' }),
+                () => writeSchema(directory, 'b/child.schema.json', { title: 'child', type: 'object', description: 'Changed.' })
+            ], (messages, output) => {
+                assert.deepStrictEqual(messages, [
+                    `Generated ${output}, watching for changes...`,
+                    `Regenerated ${output}: changed child, root`,
+                    `Regenerated ${output}: changed child (b/child.schema.json), root`
+                ]);
+                done();
+            });
+        });
+    });
 });